@@ -0,0 +1,37 @@
+// Cache-first store for CommunityDragon icon images (registered by cdragon.registerIconCache).
+// Only image requests under `?root=` are touched; metadata JSON is cached by the page.
+// Each icon's source (cache, network or none) is posted back to the page that asked.
+const CACHE = "cdragon-icons-v1";
+const ROOT = new URL(self.location.href).searchParams.get("root") || "https://raw.communitydragon.org";
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+// Tell the page where an icon came from, for its status line (cdragon.watchIconSources).
+async function report(clientId, source) {
+  const client = clientId && (await self.clients.get(clientId));
+  if (client) client.postMessage({ type: "icon-source", source });
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || req.destination !== "image" || !req.url.startsWith(ROOT)) return;
+  event.respondWith(
+    caches.open(CACHE).then(async (cache) => {
+      const hit = await cache.match(req);
+      if (hit) {
+        report(event.clientId, "cache");
+        return hit;
+      }
+      try {
+        const res = await fetch(req);
+        if (res.ok) cache.put(req, res.clone());
+        report(event.clientId, res.ok ? "network" : "none");
+        return res;
+      } catch (e) {
+        report(event.clientId, "none");
+        throw e;
+      }
+    })
+  );
+});
@@ -1,375 +1,421 @@
-import React, { useEffect, useMemo, useState } from "react";
-import Papa from "papaparse";
-
-// ---- Small UI bits ----
-const Section = ({ title, right, children }) => (
-  <div className="w-full">
-    <div className="flex items-center justify-between mb-2">
-      <h2 className="text-xl font-semibold tracking-tight">{title}</h2>
-      {right}
-    </div>
-    <div className="rounded-2xl border border-gray-200 p-3 shadow-sm bg-white">{children}</div>
-  </div>
-);
-
-const Badge = ({ children }) => (
-  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-900 border border-gray-200">{children}</span>
-);
-
-const Stat = ({ label, value }) => (
-  <div className="flex flex-col min-w-[4.5rem] items-end">
-    <span className="text-xs text-gray-500">{label}</span>
-    <span className="text-sm font-semibold tabular-nums">{value}</span>
-  </div>
-);
-
-const Row = ({ icon, title, subtitle, right }) => (
-  <div className="flex items-center justify-between rounded-xl border p-3 gap-3">
-    <div className="flex items-center gap-3 min-w-0">
-      {icon}
-      <div className="min-w-0">
-        <div className="font-medium truncate pr-2">{title}</div>
-        {subtitle ? <div className="text-xs text-gray-500 truncate">{subtitle}</div> : null}
-      </div>
-    </div>
-    <div className="flex items-center gap-4">{right}</div>
-  </div>
-);
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { SORT_LABELS, shrink, sortRows } from "./stats";
+import { fmtCI, fmtInt, fmtPct, fmtPlace } from "./format";
+import { DEFAULT_VERSION, META_SOURCES, buildChampionIcons, buildIconMaps, cdBase, classifyMetaJson, detectPatch, getAugIcon, getItemIcon, listVersions, loadMetaJson, metaUrls, watchIconSources } from "./cdragon";
+import { AugIcon, Badge, CDImg, CI, Change, Row, Section, Stat } from "./ui";
+import EntityLookup from "./EntityLookup";
+import { DATASETS, DATASET_KEYS, describeMismatch, typeLabel } from "./csvSchema";
+import { emptyAggregate, fileType } from "./aggregate";
+import { aggregateFiles, parseFile } from "./csvClient";
+import { SNAPSHOTS, withBaseline } from "./snapshots";
+import * as storage from "./storage";
+import SavedDatasets from "./SavedDatasets";
+import { DEFAULTS, buildUrl, readUrlState, writeUrlState } from "./urlState";
+import { buildMetaIndex } from "./metaDetails";
+import DetailDrawer from "./DetailDrawer";
+import NameMatchReport from "./NameMatchReport";
+import ExportMenu from "./ExportMenu";
+import TierList from "./TierList";
+import VirtualList from "./VirtualList";
+import ChampionOverview from "./ChampionOverview";
+import VoucherSignificance from "./VoucherSignificance";
+import SynergyExplorer from "./SynergyExplorer";
+import BuildPlanner from "./BuildPlanner";
+import CompareChampions from "./CompareChampions";
+import DataHealth from "./DataHealth";
+import { applyFix } from "./dataQuality";
+import ChampionSearch from "./ChampionSearch";
+import { MAX_RECENTS, exactName, resolveName } from "./fuzzyNames";
+import ChampionCharts from "./ChampionCharts";
+import { recommendation, voucherTest } from "./voucherTest";
+import { PLACEMENT_KEYS, PLACEMENT_METRICS, availablePlacement, placementValue } from "./placement";
 
 // ---- Helpers ----
-const CD_BASE = "https://raw.communitydragon.org/latest";
-const ITEMS_JSON = `${CD_BASE}/plugins/rcp-be-lol-game-data/global/default/v1/items.json`;
-const ARENA_JSON = `${CD_BASE}/cdragon/arena/en_us.json`;
-
-function parseCsv(file) {
-  return new Promise((resolve, reject) => {
-    Papa.parse(file, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      complete: (res) => resolve(res.data || []),
-      error: (err) => reject(err),
-    });
-  });
+// Storage failures (private mode, quota) only cost persistence, never the session.
+function persist(promise) {
+  promise.catch((e) => console.warn("IndexedDB write failed", e));
 }
 
-function fmtPct(x) {
-  const n = typeof x === "string" ? parseFloat(x) : (x ?? 0);
-  if (!isFinite(n)) return "–";
-  return (n * 100).toFixed(1) + "%";
-}
+// Where one metadata file came from; "" while still loading. An imported copy is used
+// instead of CommunityDragon until it is dropped.
+const MetaStatus = ({ label, source, onForget }) => {
+  const tone = source === "network" ? "bg-emerald-500" : source === "cache" || source === "local" ? "bg-amber-500" : source === "none" ? "bg-rose-500" : "bg-gray-300";
+  return (
+    <span className="inline-flex items-center gap-1" title={`${label} metadata: ${META_SOURCES[source] || "loading…"}`}>
+      <span className={`inline-block w-2 h-2 rounded-full ${tone}`} />
+      {label}: {META_SOURCES[source] || "loading…"}
+      {source === "local" && (
+        <button className="text-gray-400 hover:text-rose-600" title={`Drop the imported ${label} JSON and use CommunityDragon`} onClick={onForget}>✕</button>
+      )}
+    </span>
+  );
+};
 
-function fmtInt(x) {
-  const n = typeof x === "string" ? parseFloat(x) : (x ?? 0);
-  if (!isFinite(n)) return "0";
-  return Math.round(n).toString();
-}
+// Where icon images are being served from (see cdragon.watchIconSources).
+const IconStatus = ({ sources }) => {
+  const { cache, network, none, worker } = sources;
+  const tone = !cache && !network && !none ? "bg-gray-300" : !cache && !network ? "bg-rose-500" : none || !worker ? "bg-amber-500" : "bg-emerald-500";
+  const parts = [cache && `${fmtInt(cache)} from offline cache`, network && `${fmtInt(network)} from network`, none && `${fmtInt(none)} unavailable`].filter(Boolean);
+  return (
+    <span className="inline-flex items-center gap-1" title={worker ? "Icons are cached by a service worker after their first load." : "No service worker controls this page; icons load from the network and aren't cached for offline use."}>
+      <span className={`inline-block w-2 h-2 rounded-full ${tone}`} />
+      icons: {parts.length ? parts.join(", ") : worker ? "none loaded yet" : "network, not cached"}
+    </span>
+  );
+};
 
-function normKey(str) {
-  let s = (str || "").toString().trim().toLowerCase();
-  let out = "";
-  let lastSpace = false;
-  for (let i = 0; i < s.length; i++) {
-    const ch = s[i];
-    const code = ch.charCodeAt(0);
-    const isNum = code >= 48 && code <= 57;
-    const isLow = code >= 97 && code <= 122;
-    if (isNum || isLow) {
-      out += ch;
-      lastSpace = false;
-    } else {
-      if (!lastSpace) { out += " "; lastSpace = true; }
-    }
-  }
-  return out.trim();
+// CommunityDragon patch directory picker. Typing commits on Enter / blur; an empty value
+// unpins and goes back to the CSV patch (or "latest").
+function PatchPicker({ value, pinned, csvPatch, versions, onPick }) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft !== null && draft.trim() !== value) onPick(draft.trim());
+    setDraft(null);
+  };
+  const options = Array.from(new Set([DEFAULT_VERSION, "pbe", csvPatch, ...versions].filter(Boolean)));
+  return (
+    <span className="inline-flex items-center gap-1 mr-2">
+      <label htmlFor="cd-version">Patch</label>
+      <input
+        id="cd-version"
+        list="cd-versions"
+        className="w-20 rounded-md border border-gray-300 px-1 py-0.5"
+        value={draft ?? value}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => { if (e.key === "Enter") commit(); }}
+      />
+      <datalist id="cd-versions">
+        {options.map((v) => <option key={v} value={v}>{v === csvPatch ? "from CSV" : ""}</option>)}
+      </datalist>
+      {pinned ? (
+        <button className="hover:underline" title="Follow the CSV patch again" onClick={() => onPick("")}>auto</button>
+      ) : csvPatch ? (
+        <span>(from CSV)</span>
+      ) : null}
+    </span>
+  );
 }
 
-function iconFromPath(path) {
-  if (!path) return "";
-  const raw = String(path).replace(/\\/g, "/").split(/[?#]/)[0];
-  if (/^https?:\/\//i.test(raw)) return raw;
+export default function ArenaExplorer() {
+  const [files, setFiles] = useState([]);
+  const filesRef = useRef(files); // latest committed `files`, for async handlers
+  const [dragOver, setDragOver] = useState(false);
+  const [uploadTarget, setUploadTarget] = useState("current"); // snapshot new files go into
+  const [parsing, setParsing] = useState([]); // [{ id, name, loaded, total, cancel }] files still in the worker
+  const [agg, setAgg] = useState(emptyAggregate); // merged + per-champion indexed data, built in the worker
+  const [fromUrl] = useState(() => readUrlState()); // deep-link state wins over saved view state
+  const [champQuery, setChampQuery] = useState(fromUrl.champQuery ?? "");
+  const [lookupMode, setLookupMode] = useState(fromUrl.lookupMode ?? "champion"); // "champion" | "entity" | "compare"
+  const [entityQuery, setEntityQuery] = useState(fromUrl.entityQuery ?? "");
+  const [compareChamps, setCompareChamps] = useState(fromUrl.compareChamps ?? []);
+  const [recentChamps, setRecentChamps] = useState([]); // most recent first
+  const [favouriteChamps, setFavouriteChamps] = useState([]);
+  const searchRef = useRef(null);
+  const [searchFocus, setSearchFocus] = useState(0); // bumped by the "/" shortcut
+  const [minN, setMinN] = useState(fromUrl.minN ?? DEFAULTS.minN);
+  const [sortKey, setSortKey] = useState(fromUrl.sortKey ?? DEFAULTS.sortKey);
+  const [champView, setChampView] = useState(fromUrl.champView ?? DEFAULTS.champView); // "lists" | "tiers" | "charts"
+  const [placementCols, setPlacementCols] = useState([]); // placement metrics shown as extra columns
+  const [copied, setCopied] = useState(false);
+  const [restored, setRestored] = useState(false); // saved files + view state read back from IndexedDB
+
+  // CommunityDragon patch directory. Unless the user picked one (pinned), it follows the
+  // CSVs' patch column and otherwise stays on "latest".
+  const [cdVersion, setCdVersion] = useState(fromUrl.cdVersion ?? DEFAULT_VERSION);
+  const [versionPinned, setVersionPinned] = useState(Boolean(fromUrl.cdVersion));
+  const [versions, setVersions] = useState([]);
+
+  // Raw CommunityDragon JSON for `version`, plus where each copy came from (see cdragon.META_SOURCES).
+  const [meta, setMeta] = useState({ version: cdVersion, items: null, arena: null, champions: null, sources: { items: "", arena: "", champions: "" } });
+  const icons = useMemo(() => ({
+    ...buildIconMaps(meta.items, meta.arena, cdBase(meta.version)),
+    champions: buildChampionIcons(meta.champions, cdBase(meta.version)),
+  }), [meta.items, meta.arena, meta.champions, meta.version]);
+  const metaIndex = useMemo(() => buildMetaIndex(meta.items, meta.arena), [meta.items, meta.arena]);
+  // Augment tiers from CommunityDragon, for raw match files that don't name them.
+  const augTiers = useMemo(
+    () => new Map(Array.from(metaIndex.augs, ([k, a]) => [k, a.rarity]).filter(([, t]) => t)),
+    [metaIndex]
+  );
+  const [metaError, setMetaError] = useState("");
+  const [metaReload, setMetaReload] = useState(0); // bumped to reload after dropping an imported copy
+  const [iconSources, setIconSources] = useState({ cache: 0, network: 0, none: 0, worker: false });
+  const [detail, setDetail] = useState(null); // { kind: "item" | "aug", name, tier? } shown in the drawer
+  const closeDetail = useCallback(() => setDetail(null), []);
+  const isDetail = (kind, name, tier) => detail?.kind === kind && detail.name === name && (!tier || detail.tier === tier);
+  const [highlight, setHighlight] = useState(null); // chart point picked out in the lists: { series, kind, name, tier, seq }
+  const isActive = (kind, name, tier) => isDetail(kind, name, tier) || (highlight?.kind === kind && highlight.name === name && (!tier || highlight.tier === tier));
 
-  const BASE = "https://raw.communitydragon.org/latest";
+  useEffect(() => {
+    let alive = true;
+    setMeta((m) => ({ ...m, sources: { items: "", arena: "", champions: "" } }));
+    (async () => {
+      const urls = metaUrls(cdVersion);
+      const [items, arena, champions] = await Promise.all([
+        loadMetaJson("items", urls.items),
+        loadMetaJson("arena", urls.arena),
+        loadMetaJson("champions", urls.champions),
+      ]);
+      if (!alive) return;
+      setMeta({
+        version: cdVersion,
+        items: items.json,
+        arena: arena.json,
+        champions: champions.json,
+        sources: { items: items.source, arena: arena.source, champions: champions.source },
+      });
+    })();
+    return () => { alive = false; };
+  }, [cdVersion, metaReload]);
 
-  // Helper: take everything AFTER the **last** '/assets/' (case-insensitive)
-  const tailAfterLastAssets = (s) => {
-    const i = s.toLowerCase().lastIndexOf("/assets/");
-    if (i === -1) return null;
-    return s.slice(i + "/assets/".length).replace(/^\/+/, "");
-  };
+  useEffect(() => watchIconSources(setIconSources), []);
 
-  // Case: any path that already contains '/assets/...'
-  const t1 = tailAfterLastAssets(raw);
-  if (t1) {
-    // ensure exactly one 'assets/' prefix, lowercase tail for plugins path
-    return `${BASE}/plugins/rcp-be-lol-game-data/global/default/assets/${t1.toLowerCase()}`;
-  }
+  useEffect(() => {
+    let alive = true;
+    listVersions().then((v) => { if (alive) setVersions(v); });
+    return () => { alive = false; };
+  }, []);
 
-  // Case: '/lol-game-data/...'
-  const lgdIdx = raw.toLowerCase().indexOf("/lol-game-data/");
-  if (lgdIdx !== -1) {
-    const rest = raw.slice(lgdIdx + "/lol-game-data/".length).replace(/^\/+/, "");
-    const t2 = tailAfterLastAssets("/" + rest) || rest; // try to find assets/ inside rest
-    const clean = t2.replace(/^assets\//i, "");          // drop any leading 'assets/'
-    return `${BASE}/plugins/rcp-be-lol-game-data/global/default/assets/${clean.toLowerCase()}`;
+  function pickVersion(v) {
+    setCdVersion(v || DEFAULT_VERSION);
+    setVersionPinned(Boolean(v));
   }
 
-  // Fallback: treat as relative; normalize to one 'assets/' prefix
-  let rel = raw.replace(/^\/+/, "");
-  rel = rel.replace(/^assets\//i, ""); // drop if already starts with assets/
-  return `${BASE}/plugins/rcp-be-lol-game-data/global/default/assets/${rel.toLowerCase()}`;
-}
-
-function getItemIcon(name, itemMap) {
-  if (!name || !itemMap) return "";
-  // exact (our main path)
-  const nk = normKey(name);
-  if (itemMap.has(nk)) return itemMap.get(nk);
-
-  // super-loose fallback: compare alnum-only strings
-  const flat = (s) => (s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
-  const target = flat(name);
-  for (const [k, v] of itemMap.entries()) {
-    if (flat(k) === target) return v;          // strict equal (no spaces/punc)
+  async function importMeta(inputFiles) {
+    setMetaError("");
+    for (const f of Array.from(inputFiles || [])) {
+      try {
+        const json = JSON.parse(await f.text());
+        const kind = classifyMetaJson(json);
+        if (!kind) throw new Error("not an items.json, champion-summary.json or arena JSON export");
+        setMeta((m) => ({ ...m, [kind]: json, sources: { ...m.sources, [kind]: "local" } }));
+        persist(storage.saveMeta(kind, json));
+      } catch (e) {
+        console.warn(`Failed to import metadata from ${f.name}`, e);
+        setMetaError(`${f.name}: ${e.message}`);
+      }
+    }
   }
-  for (const [k, v] of itemMap.entries()) {
-    const fk = flat(k);
-    if (fk.includes(target) || target.includes(fk)) return v; // contains
+
+  async function forgetMeta(kind) {
+    try {
+      await storage.deleteMeta(kind);
+    } catch (e) {
+      console.warn(`Failed to drop imported ${kind} metadata`, e);
+    }
+    setMetaReload((n) => n + 1);
   }
-  return "";
-}
 
+  // Restore saved datasets and view state once on startup.
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      try {
+        const [saved, view] = await Promise.all([storage.loadFiles(), storage.loadUiState()]);
+        if (!alive) return;
+        if (saved.length) setFiles((prev) => [...saved, ...prev]);
+        if (view) {
+          const linked = Object.keys(fromUrl).length > 0;
+          if (!linked) {
+            if (typeof view.champQuery === "string") setChampQuery(view.champQuery);
+            if (view.lookupMode) setLookupMode(view.lookupMode);
+            if (typeof view.entityQuery === "string") setEntityQuery(view.entityQuery);
+            if (Array.isArray(view.compareChamps)) setCompareChamps(view.compareChamps);
+            if (isFinite(view.minN)) setMinN(view.minN);
+            if (Object.hasOwn(SORT_LABELS, view.sortKey ?? "")) setSortKey(view.sortKey);
+            if (view.champView) setChampView(view.champView);
+            if (Array.isArray(view.placementCols)) setPlacementCols(view.placementCols);
+          }
+          if (!linked && view.versionPinned && view.cdVersion) pickVersion(view.cdVersion);
+          if (view.uploadTarget) setUploadTarget(view.uploadTarget);
+          if (Array.isArray(view.recentChamps)) setRecentChamps(view.recentChamps);
+          if (Array.isArray(view.favouriteChamps)) setFavouriteChamps(view.favouriteChamps);
+        }
+      } catch (e) {
+        console.warn("Failed to restore saved datasets", e);
+      }
+      if (alive) setRestored(true);
+    })();
+    return () => { alive = false; };
+  }, [fromUrl]);
 
+  useEffect(() => {
+    if (!restored) return;
+    persist(storage.saveUiState({ champQuery, lookupMode, entityQuery, compareChamps, minN, sortKey, champView, placementCols, uploadTarget, cdVersion, versionPinned, recentChamps, favouriteChamps }));
+  }, [restored, champQuery, lookupMode, entityQuery, compareChamps, minN, sortKey, champView, placementCols, uploadTarget, cdVersion, versionPinned, recentChamps, favouriteChamps]);
 
+  // Adds to what is already loaded; re-adding a file with the same name to the same
+  // snapshot replaces it.
+  useEffect(() => { filesRef.current = files; }, [files]);
 
-// Simple fallback tile for missing icons
-function PlaceholderIcon({ name }) {
-  const letter = ((name || "?") + "").trim().charAt(0).toUpperCase();
-  return (
-    <div
-      style={{
-        width: 32,
-        height: 32,
-        display: "flex",
-        alignItems: "center",
-        justifyContent: "center",
-        border: "1px solid #e5e7eb",
-        borderRadius: 6,
-        background: "#f3f4f6",
-        fontSize: 12,
-        fontWeight: 600,
-      }}
-    >
-      {letter}
-    </div>
-  );
-}
+  async function handleFiles(inputFiles) {
+    if (!inputFiles || !inputFiles.length) return;
+    const snapshot = uploadTarget;
+    // All files go to the worker at once; it streams them and reports progress per chunk.
+    const jobs = Array.from(inputFiles).map((f) => {
+      const loadedAt = Date.now();
+      const entry = { id: `${snapshot}:${f.name}:${loadedAt}`, name: f.name, snapshot, override: "", loadedAt };
+      const job = parseFile(f, (loaded, total) =>
+        setParsing((prev) => prev.map((p) => (p.id === job.id ? { ...p, loaded, total } : p))), augTiers);
+      return { f, entry, job };
+    });
+    setParsing((prev) => [...prev, ...jobs.map(({ f, job }) => ({ id: job.id, name: f.name, loaded: 0, total: f.size, cancel: job.cancel }))]);
+    const loaded = [];
+    for (const { entry, job } of jobs) {
+      try {
+        const res = await job.promise;
+        if (res) loaded.push({ ...entry, ...res }); // null: cancelled
+      } catch (err) {
+        loaded.push({ ...entry, rows: [], fields: [], detected: null, error: String(err?.message || err) });
+      }
+    }
+    setParsing((prev) => prev.filter((p) => !jobs.some(({ job }) => job.id === p.id)));
+    if (!loaded.length) return;
+    const names = new Set(loaded.map((f) => f.name));
+    const isReplaced = (f) => f.snapshot === snapshot && names.has(f.name);
+    // Replacements are picked from the latest committed list, not the `files` this call
+    // started with: others may have been added or removed while these were parsing.
+    const replaced = filesRef.current.filter(isReplaced);
+    setFiles((prev) => [...prev.filter((f) => !isReplaced(f)), ...loaded]);
+    replaced.forEach((f) => persist(storage.deleteFile(f.id)));
+    persist(storage.saveFiles(loaded.filter((f) => !f.error)));
+  }
 
-function AugIcon({ tier = "silver", src, name }) {
-  const bg =
-    tier === "gold"
-      ? "linear-gradient(180deg, #FEF3C7, #F59E0B)"
-      : tier === "prismatic"
-      ? "linear-gradient(135deg, #60A5FA, #A78BFA, #F472B6)"
-      : "linear-gradient(180deg, #E5E7EB, #94A3B8)";
+  function removeFile(id) {
+    setFiles((prev) => prev.filter((f) => f.id !== id));
+    persist(storage.deleteFile(id));
+  }
 
-  return (
-    <div
-      style={{
-        width: 32,
-        height: 32,
-        borderRadius: 6,
-        padding: 2,
-        background: bg,
-        boxShadow: "inset 0 0 0 1px rgba(0,0,0,.12), 0 1px 2px rgba(0,0,0,.08)",
-      }}
-      title={name}
-    >
-      <CDImg src={src} name={name} plain size={28} />
-    </div>
-  );
-}
+  function clearFiles() {
+    setFiles([]);
+    persist(storage.clearFiles());
+  }
 
+  function updateFile(id, patch) {
+    const f = files.find((x) => x.id === id);
+    if (!f) return;
+    const next = { ...f, ...patch };
+    setFiles((prev) => prev.map((x) => (x.id === id ? next : x)));
+    if (!next.error) persist(storage.saveFiles([next]));
+  }
 
-function getAugIcon(name, augMap) {
-  const nk = normKey(name);
-  if (augMap.has(nk)) return augMap.get(nk);
-  // fuzzy: allow minor name differences
-  for (const [k, v] of augMap.entries()) {
-    if (k.includes(nk) || nk.includes(k)) return v;
+  // One of dataQuality.FIXES, applied to the stored rows.
+  function fixFile(id, fix) {
+    const f = files.find((x) => x.id === id);
+    if (f) updateFile(id, { rows: applyFix(fileType(f), f.rows, fix), fixes: [...(f.fixes || []), fix] });
   }
-  return "";
-}
 
-window.__getAugIcon = (name) => {
-  const m = (window.AE_ICONS && window.AE_ICONS.augs) || new Map();
-  return getAugIcon(name, m);
-};
+  function onDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    handleFiles(e.dataTransfer?.files);
+  }
 
-function CDImg({ src, name, plain = false, size = 32 }) {
-  const [url, setUrl] = React.useState(src || "");
-  React.useEffect(() => { setUrl(src || ""); }, [src]);
+  // Re-merge in the worker when the files' rows, types or snapshots change (not on a
+  // rename); a newer run supersedes an older one still in flight.
+  const aggInput = useRef([]);
+  const aggRun = useRef(0);
+  useEffect(() => {
+    const next = files.map((f) => ({ snapshot: f.snapshot, type: fileType(f), rows: f.rows, tables: f.raw?.tables }));
+    const prev = aggInput.current;
+    const same = (a, b) => b && a.snapshot === b.snapshot && a.type === b.type && a.rows === b.rows && a.tables === b.tables;
+    if (next.length === prev.length && next.every((f, i) => same(f, prev[i]))) return;
+    aggInput.current = next;
+    const run = ++aggRun.current;
+    aggregateFiles(next)
+      .then((result) => { if (run === aggRun.current) setAgg(result); })
+      .catch((e) => console.warn("Failed to merge datasets", e));
+  }, [files]);
+
+  const { data, baseData, index, baseIndex, averages, champions } = agg;
+  const hasBaseline = DATASET_KEYS.some((t) => baseData[t].length);
+  const placementAvail = useMemo(() => availablePlacement(data), [data]);
+  // Placement columns on the rows: the ones switched on, plus the active placement sort.
+  const shownPlacement = PLACEMENT_KEYS.filter((k) => placementAvail[k] && (placementCols.includes(k) || sortKey === k));
+  const placementText = (k, r, wrKey) => (k === "place" ? fmtPlace : fmtPct)(placementValue(k, r, wrKey));
+  const togglePlacement = (k) => setPlacementCols((prev) => (prev.includes(k) ? prev.filter((x) => x !== k) : [...prev, k]));
+
+  const csvPatch = useMemo(() => detectPatch(DATASET_KEYS.map((t) => data[t])), [data]);
+  useEffect(() => {
+    if (!versionPinned) setCdVersion(csvPatch || DEFAULT_VERSION);
+  }, [csvPatch, versionPinned]);
 
-  return (
-    <img
-      src={url}
-      alt=""
-      width={size}
-      height={size}
-      referrerPolicy="no-referrer"
-      crossOrigin="anonymous"
-      decoding="async"
-      style={{
-        width: size,
-        height: size,
-        objectFit: "contain",
-        display: "block",
-        // only add border/background when NOT plain
-        ...(plain ? {} : { borderRadius: 6, border: "1px solid #e5e7eb", background: "#fff" }),
-      }}
-      onError={() => { /* leave the broken-image icon visible */ }}
-    />
-  );
-}
+  // Only an exact or unambiguous match selects a champion; otherwise the search lists the candidates.
+  const champion = useMemo(() => resolveName(champQuery, champions), [champQuery, champions]);
 
+  useEffect(() => { setHighlight(null); }, [champion]);
 
+  // Recents only record champions actually opened: picked from the list or entered by
+  // exact name, not every unambiguous partial query or deep link.
+  function pickChampion(query) {
+    setChampQuery(query);
+    const c = exactName(query, champions);
+    if (c) setRecentChamps((prev) => [c, ...prev.filter((x) => x !== c)].slice(0, MAX_RECENTS));
+  }
 
-export default function ArenaExplorer() {
-  const [files, setFiles] = useState([]);
-  const [champQuery, setChampQuery] = useState("");
-  const [minN, setMinN] = useState(10);
-  const [sortKey, setSortKey] = useState("wr");
+  const toggleFavourite = (c) => setFavouriteChamps((prev) => (prev.includes(c) ? prev.filter((x) => x !== c) : [...prev, c]));
 
-  const [data, setData] = useState({ pris: [], leg: [], aug: [], vshop: [] });
-  const [icons, setIcons] = useState({ items: new Map(), augs: new Map() });
+  // "/" anywhere outside a text field jumps to the champion search.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey) return;
+      const t = e.target;
+      if (t instanceof HTMLElement && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+      e.preventDefault();
+      setLookupMode("champion");
+      setSearchFocus((n) => n + 1);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
 
   useEffect(() => {
-    let alive = true;
-    (async () => {
-      try {
-        const [itemsRes, arenaRes] = await Promise.all([
-          fetch(ITEMS_JSON),
-          fetch(ARENA_JSON),
-        ]);
-        const itemsJson = await itemsRes.json();
-        const arenaJson = await arenaRes.json();
-
-        const itemMap = new Map();
-        if (Array.isArray(itemsJson)) {
-          for (const it of itemsJson) {
-            const name = it && (it.name || it.nameLocalized);
-            const key = normKey(name);
-            const icon = iconFromPath(it && (it.iconPath || it.icon) || "");
-            if (key && icon) itemMap.set(key, icon);
-          }
-        }
-        const arenaItems = (!Array.isArray(arenaJson) && arenaJson && (arenaJson.items || arenaJson.Items))
-          ? (arenaJson.items || arenaJson.Items)
-          : [];
-        for (const it of arenaItems) {
-          const nm = it?.name ?? it?.Name ?? it?.displayName ?? it?.DisplayName ?? it?.apiName ?? it?.ApiName;
-          const key = normKey(nm);
-          const rawIcon = it?.iconSmall ?? it?.IconSmall ?? it?.icon ?? it?.Icon ?? it?.iconLarge ?? it?.IconLarge ?? it?.iconPath ?? it?.IconPath ?? "";
-          const icon = iconFromPath(rawIcon);
-          if (key && icon) itemMap.set(key, icon);
-        }
+    if (!searchFocus) return;
+    searchRef.current?.focus();
+    searchRef.current?.select();
+  }, [searchFocus]);
 
-        const augList = Array.isArray(arenaJson) ? arenaJson : (arenaJson?.augments || arenaJson?.Augments || []);
-        const augMap = new Map();
-        for (const a of augList) {
-          const nm = a?.name ?? a?.Name ?? a?.apiName ?? a?.ApiName;
-          const key = normKey(nm);
-          const rawIcon = a?.iconSmall ?? a?.IconSmall ?? a?.icon ?? a?.Icon ?? a?.iconLarge ?? a?.IconLarge ?? a?.iconPath ?? a?.IconPath ?? "";
-          const icon = iconFromPath(rawIcon);
-          if (key && icon) augMap.set(key, icon);
-        }
-        
-        console.log("icons loaded", { items: itemMap.size, augments: augMap.size });
-        console.log("sample urls", {
-          dragonheart: itemMap.get(normKey("Dragonheart")),
-          duskblade: itemMap.get(normKey("Duskblade of Draktharr")),
-          fulmination: itemMap.get(normKey("Fulmination")),
-        });
-
-        window.AE_ICONS = { items: itemMap, augs: augMap };
-        console.log("icons map sizes", { items: itemMap.size, augments: augMap.size });
-        console.log("sample urls", {
-          blackHole: itemMap.get(normKey("Black Hole Gauntlet")),
-          cruelty:   itemMap.get(normKey("Cruelty")),
-          lightning: itemMap.get(normKey("Lightning Rod")),
-        });
-
-        window.AE_ICONS = window.AE_ICONS || {};
-        window.AE_ICONS.items = itemMap;
-        console.log("check prismatics", {
-          regicide:  getItemIcon("Regicide", itemMap),
-          duskblade: getItemIcon("Duskblade of Draktharr", itemMap),
-          prowlers:  getItemIcon("Prowler's Claw", itemMap),
-        });
-
-        if (alive) setIcons({ items: itemMap, augs: augMap });
-      } catch (e) {
-        console.warn("Failed to load CDragon metadata", e);
-      }
-    })();
-    return () => { alive = false; };
-  }, []);
+  // Champion averages per dataset (before the minN cutoff); the shrunk sort pulls toward these.
+  const baselines = useMemo(() => ({
+    pris: averages.pris.get(champion) ?? NaN,
+    leg: averages.leg.get(champion) ?? NaN,
+    aug: averages.aug.get(champion) ?? NaN,
+  }), [averages, champion]);
 
-  async function handleFiles(inputFiles) {
-    if (!inputFiles || !inputFiles.length) return;
-    const arr = Array.from(inputFiles);
-    setFiles(arr);
-    let pris = [], leg = [], aug = [], vshop = [];
-    for (const f of arr) {
-      const name = f.name.toLowerCase();
-      const rows = await parseCsv(f);
-      if (name.includes("item_present_power_by_champion_prismatic")) pris = rows;
-      else if (name.includes("item_present_power_by_champion_legendary")) leg = rows;
-      else if (name.includes("augment_power_by_champion_no_order")) aug = rows;
-      else if (name.includes("legendary_2000_vs_2500_by_champion")) vshop = rows;
+  const linkVersion = versionPinned ? cdVersion : "";
+  const viewState = { lookupMode, champQuery: champion || champQuery, entityQuery, compareChamps, minN, sortKey, champView, cdVersion: linkVersion };
+
+  useEffect(() => {
+    if (!restored) return;
+    writeUrlState({ lookupMode, champQuery: champion || champQuery, entityQuery, compareChamps, minN, sortKey, champView, cdVersion: linkVersion });
+  }, [restored, lookupMode, champion, champQuery, entityQuery, compareChamps, minN, sortKey, champView, linkVersion]);
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(buildUrl(viewState));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (e) {
+      console.warn("Clipboard write failed", e);
     }
-    setData({ pris, leg, aug, vshop });
   }
 
-  const champions = useMemo(() => {
-    const s = new Set();
-    data.pris.forEach((r) => r && r.champion_name && s.add(r.champion_name));
-    data.leg.forEach((r) => r && r.champion_name && s.add(r.champion_name));
-    data.aug.forEach((r) => r && r.champion_name && s.add(r.champion_name));
-    data.vshop.forEach((r) => r && r.champion_name && s.add(r.champion_name));
-    return Array.from(s).sort();
-  }, [data]);
-
-  const champion = useMemo(() => {
-    if (!champQuery.trim()) return "";
-    const q = champQuery.trim().toLowerCase();
-    return champions.find((c) => c.toLowerCase() === q) || champions.find((c) => c.toLowerCase().includes(q)) || "";
-  }, [champQuery, champions]);
-
   const prisRows = useMemo(() => {
-    const rows = data.pris.filter((r) => r.champion_name === champion);
+    const rows = withBaseline("pris", index.pris.get(champion) || [], baseIndex.pris.get(champion) || [], baseIndex.pris.size > 0);
     const filtered = rows.filter((r) => Number(r.n_present) >= minN);
-    const sorted = [...filtered].sort((a, b) => {
-      return sortKey === "wr"
-        ? Number(b.win_rate_present) - Number(a.win_rate_present)
-        : Number(b.n_present) - Number(a.n_present);
-    });
-    return sorted;
-  }, [data.pris, champion, minN, sortKey]);
+    return sortRows(filtered, sortKey, "win_rate_present", "n_present", baselines.pris);
+  }, [index.pris, baseIndex.pris, champion, minN, sortKey, baselines.pris]);
 
   const legRows = useMemo(() => {
-    const rows = data.leg.filter((r) => r.champion_name === champion);
+    const rows = withBaseline("leg", index.leg.get(champion) || [], baseIndex.leg.get(champion) || [], baseIndex.leg.size > 0);
     const filtered = rows.filter((r) => Number(r.n_present) >= minN);
-    const sorted = [...filtered].sort((a, b) => {
-      return sortKey === "wr"
-        ? Number(b.win_rate_present) - Number(a.win_rate_present)
-        : Number(b.n_present) - Number(a.n_present);
-    });
-    return sorted;
-  }, [data.leg, champion, minN, sortKey]);
+    return sortRows(filtered, sortKey, "win_rate_present", "n_present", baselines.leg);
+  }, [index.leg, baseIndex.leg, champion, minN, sortKey, baselines.leg]);
 
   const augByTier = useMemo(() => {
-    const rows = data.aug.filter((r) => r.champion_name === champion && r.tier_norm);
+    const rows = withBaseline("aug", index.aug.get(champion) || [], baseIndex.aug.get(champion) || [], baseIndex.aug.size > 0)
+      .filter((r) => r.tier_norm);
     const keep = rows.filter((r) => Number(r.n) >= minN);
     const buckets = { silver: [], gold: [], prismatic: [] };
     for (const r of keep) {
@@ -377,14 +423,42 @@ export default function ArenaExplorer() {
       if (t === "silver" || t === "gold" || t === "prismatic") buckets[t].push(r);
     }
     for (const k of Object.keys(buckets)) {
-      buckets[k] = buckets[k].sort((a, b) => {
-        return sortKey === "wr" ? Number(b.win_rate) - Number(a.win_rate) : Number(b.n) - Number(a.n);
-      });
+      buckets[k] = sortRows(buckets[k], sortKey, "win_rate", "n", baselines.aug);
     }
     return buckets;
-  }, [data.aug, champion, minN, sortKey]);
-
-  const vshopRow = useMemo(() => data.vshop.find((r) => r.champion_name === champion), [data.vshop, champion]);
+  }, [index.aug, baseIndex.aug, champion, minN, sortKey, baselines.aug]);
+
+  // Tier-list groups use the same min-N-filtered rows as the lists.
+  const tierGroups = useMemo(() => [
+    { key: "pris", label: "Prismatic items", rows: prisRows, nameKey: "item_name", wrKey: "win_rate_present", nKey: "n_present", avg: baselines.pris },
+    { key: "leg", label: "Legendary items", rows: legRows, nameKey: "item_name", wrKey: "win_rate_present", nKey: "n_present", avg: baselines.leg },
+    ...["silver", "gold", "prismatic"].map((t) => ({
+      key: `aug-${t}`, label: `${t[0].toUpperCase()}${t.slice(1)} augments`, tier: t,
+      rows: augByTier[t] || [], nameKey: "augment_name", wrKey: "win_rate", nKey: "n", avg: baselines.aug,
+    })),
+  ], [prisRows, legRows, augByTier, baselines]);
+
+  // Recommended-build inputs, by plan slot (see buildPlan.PLAN_SLOTS).
+  const planRows = useMemo(() => ({
+    pris: prisRows,
+    leg: legRows,
+    ...Object.fromEntries(Object.entries(augByTier).map(([t, rows]) => [`aug-${t}`, rows])),
+  }), [prisRows, legRows, augByTier]);
+  const planAvgs = useMemo(() => ({
+    pris: baselines.pris,
+    leg: baselines.leg,
+    ...Object.fromEntries(Object.keys(augByTier).map((t) => [`aug-${t}`, baselines.aug])),
+  }), [baselines, augByTier]);
+
+  // Pair rows plus the single-pick rows their expected WR is built from (unfiltered).
+  const synergyRows = useMemo(() => ({
+    pairRows: index.pairs.get(champion) || [],
+    augRows: index.aug.get(champion) || [],
+    prisRows: index.pris.get(champion) || [],
+  }), [index, champion]);
+
+  const vshopRow = (index.vshop.get(champion) || [])[0];
+  const vshopTest = useMemo(() => (vshopRow ? voucherTest(vshopRow) : null), [vshopRow]);
 
   const SortControl = (
     <div className="flex items-center gap-2">
@@ -392,9 +466,22 @@ export default function ArenaExplorer() {
       <input type="number" className="w-20 rounded-md border border-gray-300 px-2 py-1 text-sm" value={minN} min={1} onChange={(e) => setMinN(Number(e.target.value) || 1)} />
       <label className="text-sm text-gray-600 ml-2">Sort</label>
       <select className="rounded-md border border-gray-300 px-2 py-1 text-sm" value={sortKey} onChange={(e) => setSortKey(e.target.value)}>
-        <option value="wr">Win rate</option>
-        <option value="n">Sample size</option>
+        {Object.entries(SORT_LABELS)
+          .filter(([k]) => hasBaseline || (k !== "rise" && k !== "fall"))
+          .filter(([k]) => !PLACEMENT_METRICS[k] || placementAvail[k])
+          .map(([k, label]) => <option key={k} value={k}>{label}</option>)}
       </select>
+      {PLACEMENT_KEYS.some((k) => placementAvail[k]) && (
+        <span className="ml-2 inline-flex items-center gap-2 text-sm text-gray-600" title="Extra placement columns on each row">
+          Show
+          {PLACEMENT_KEYS.filter((k) => placementAvail[k]).map((k) => (
+            <label key={k} className="inline-flex items-center gap-1">
+              <input type="checkbox" checked={placementCols.includes(k)} onChange={() => togglePlacement(k)} />
+              {PLACEMENT_METRICS[k].label}
+            </label>
+          ))}
+        </span>
+      )}
     </div>
   );
 
@@ -402,61 +489,272 @@ export default function ArenaExplorer() {
     <div className="w-full max-w-6xl mx-auto p-4 space-y-6">
       <div className="flex items-center justify-between gap-4">
         <h1 className="text-2xl font-bold tracking-tight">Arena Explorer</h1>
-        {SortControl}
+        <div className="flex items-center gap-3">
+          {SortControl}
+          <button className="rounded-md border border-gray-300 px-2 py-1 text-sm hover:bg-gray-50" onClick={copyLink} title="Copy a link to this view">
+            {copied ? "Copied!" : "Copy link"}
+          </button>
+        </div>
       </div>
 
-      <Section title="Upload CSVs">
-        <div className="flex flex-col sm:flex-row items-start sm:items-center gap-3">
+      <Section
+        title="Upload CSVs"
+        right={files.length ? <button className="text-sm text-gray-600 hover:underline" onClick={clearFiles}>Clear all</button> : null}
+      >
+        <div
+          className={`flex flex-col sm:flex-row items-start sm:items-center gap-3 rounded-xl border-2 border-dashed p-3 ${dragOver ? "border-blue-400 bg-blue-50" : "border-transparent"}`}
+          onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={onDrop}
+        >
+          <select className="rounded-md border border-gray-300 px-2 py-1 text-sm" value={uploadTarget} onChange={(e) => setUploadTarget(e.target.value)} title="Snapshot new files are added to">
+            {Object.entries(SNAPSHOTS).map(([k, label]) => (
+              <option key={k} value={k}>Add to {label.toLowerCase()}</option>
+            ))}
+          </select>
           <input
             type="file"
             multiple
             accept=".csv,text/csv"
-            onChange={(e) => handleFiles(e.target.files)}
+            onChange={(e) => { handleFiles(e.target.files); e.target.value = ""; }}
             className="block w-full text-sm text-gray-900 file:mr-3 file:py-2 file:px-3 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-gray-100 hover:file:bg-gray-200"
           />
           <div className="flex flex-wrap gap-2">
             {files.map((f) => (
-              <Badge key={f.name}>{f.name}</Badge>
+              <Badge key={f.id} onRemove={() => removeFile(f.id)}>
+                {f.snapshot === "baseline" ? "baseline · " : ""}{f.name}{fileType(f) ? ` · ${typeLabel(fileType(f))}` : ""}
+              </Badge>
+            ))}
+          </div>
+        </div>
+        {parsing.length > 0 && (
+          <div className="mt-3 space-y-2">
+            {parsing.map((p) => {
+              const pct = p.total ? Math.round((p.loaded / p.total) * 100) : 0;
+              return (
+                <div key={p.id} className="flex items-center gap-3 text-sm">
+                  <span className="w-48 truncate" title={p.name}>{p.name}</span>
+                  <div className="flex-1 h-2 rounded-full bg-gray-100 overflow-hidden">
+                    <div className="h-full bg-blue-500 transition-[width]" style={{ width: `${pct}%` }} />
+                  </div>
+                  <span className="w-10 text-right text-xs text-gray-500 tabular-nums">{pct}%</span>
+                  <button className="text-xs text-gray-600 hover:underline" onClick={p.cancel}>Cancel</button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+        {files.filter((f) => f.raw).map((f) => (
+          <div key={f.id} className="mt-2 text-sm text-gray-600">
+            {f.name}: {fmtInt(f.raw.participants)} player rows turned into the aggregate tables
+            {f.raw.skipped > 0 && <span className="text-amber-700"> · {fmtInt(f.raw.skipped)} skipped (no champion or result)</span>}
+            {f.raw.untiered > 0 && <span className="text-amber-700"> · {fmtInt(f.raw.untiered)} augment picks with no known tier</span>}
+          </div>
+        ))}
+        {files.some((f) => !f.detected?.type) && (
+          <div className="mt-3 space-y-2">
+            {files.filter((f) => !f.detected?.type).map((f) => (
+              <div key={f.id} className="flex flex-wrap items-center gap-2 text-sm">
+                {f.error ? (
+                  <span className="text-rose-700">{f.name}: could not be parsed ({f.error}).</span>
+                ) : f.detected.candidates.length > 1 ? (
+                  <>
+                    <span className="text-amber-700">{f.name}: matches more than one dataset.</span>
+                    <label className="text-gray-600">Treat as…</label>
+                    <select
+                      className="rounded-md border border-gray-300 px-2 py-1 text-sm"
+                      value={f.override}
+                      onChange={(e) => updateFile(f.id, { override: e.target.value })}
+                    >
+                      <option value="">(ignore)</option>
+                      {f.detected.candidates.map((k) => (
+                        <option key={k} value={k}>{DATASETS[k].label}</option>
+                      ))}
+                    </select>
+                  </>
+                ) : (
+                  <span className="text-rose-700">{f.name}: not a recognised export — {describeMismatch(f.detected.missing)}.</span>
+                )}
+              </div>
             ))}
           </div>
+        )}
+        {files.length > 0 && (
+          <SavedDatasets files={files} onRename={(id, name) => updateFile(id, { name })} onDelete={removeFile} />
+        )}
+        <NameMatchReport data={data} icons={icons} metaIndex={metaIndex} />
+        <DataHealth files={files} index={index} onFix={fixFile} />
+        <p className="mt-2 text-xs text-gray-500">Drop or pick CSVs to add them; files of the same type are merged. Pair exports (champion_name, first_name, second_name, n, win_rate, optional first_kind / second_kind) feed the synergy view. Raw match exports (one row per player with champion, win or placement, augments, prismatic/legendary items and legendary purchase) are turned into the same tables, pairs included. Load a previous patch into the baseline to see what moved. Loaded files are saved in this browser. Works offline in your browser. Icons load from CommunityDragon and are cached after the first visit.</p>
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+          <PatchPicker
+            value={cdVersion}
+            pinned={versionPinned}
+            csvPatch={csvPatch}
+            versions={versions}
+            onPick={pickVersion}
+          />
+          <span>Icon metadata:</span>
+          <MetaStatus label="items" source={meta.sources.items} onForget={() => forgetMeta("items")} />
+          <MetaStatus label="arena" source={meta.sources.arena} onForget={() => forgetMeta("arena")} />
+          <MetaStatus label="champions" source={meta.sources.champions} onForget={() => forgetMeta("champions")} />
+          <IconStatus sources={iconSources} />
+          <label className="ml-2 cursor-pointer hover:underline" title="An imported file is used instead of CommunityDragon, for every patch, until you drop it (✕)">
+            Import local metadata JSON…
+            <input type="file" accept=".json,application/json" multiple className="hidden" onChange={(e) => { importMeta(e.target.files); e.target.value = ""; }} />
+          </label>
+          {metaError && <span className="text-rose-700">{metaError}</span>}
         </div>
-        <p className="mt-2 text-xs text-gray-500">Works offline in your browser. Icons load from CommunityDragon.</p>
       </Section>
 
-      <Section title="Champion lookup" right={<Badge>{champion || "no match"}</Badge>}>
-        <input
-          placeholder="Start typing a champion name… (e.g., Vayne)"
-          className="w-full rounded-md border border-gray-300 px-3 py-2"
-          value={champQuery}
-          onChange={(e) => setChampQuery(e.target.value)}
-        />
+      <Section
+        title={lookupMode === "champion" ? "Champion lookup" : lookupMode === "compare" ? "Compare champions" : "Item / augment lookup"}
+        right={
+          <div className="flex items-center gap-2">
+            <select className="rounded-md border border-gray-300 px-2 py-1 text-sm" value={lookupMode} onChange={(e) => setLookupMode(e.target.value)}>
+              <option value="champion">By champion</option>
+              <option value="entity">By item / augment</option>
+              <option value="compare">Compare champions</option>
+            </select>
+            {lookupMode === "champion" && champion && (
+              <button
+                className={favouriteChamps.includes(champion) ? "text-amber-500" : "text-gray-300 hover:text-amber-500"}
+                title={favouriteChamps.includes(champion) ? "Remove from favourites" : "Add to favourites"}
+                onClick={() => toggleFavourite(champion)}
+              >
+                ★
+              </button>
+            )}
+            {lookupMode === "champion" && <Badge>{champion || (champQuery.trim() ? "pick a match" : "no match")}</Badge>}
+          </div>
+        }
+      >
+        {lookupMode === "champion" ? (
+          <ChampionSearch
+            value={champQuery}
+            onChange={setChampQuery}
+            onPick={pickChampion}
+            champions={champions}
+            icons={icons}
+            recents={recentChamps}
+            favourites={favouriteChamps}
+            onToggleFavourite={toggleFavourite}
+            inputRef={searchRef}
+          />
+        ) : lookupMode === "compare" ? (
+          <CompareChampions
+            index={index}
+            averages={averages}
+            champions={champions}
+            selected={compareChamps}
+            onChange={setCompareChamps}
+            minN={minN}
+            icons={icons}
+            onPickChampion={(c) => { pickChampion(c); setLookupMode("champion"); }}
+          />
+        ) : (
+          <div className="space-y-3">
+            <input
+              placeholder="Start typing an item or augment name… (e.g., Fulmination)"
+              className="w-full rounded-md border border-gray-300 px-3 py-2"
+              value={entityQuery}
+              onChange={(e) => setEntityQuery(e.target.value)}
+            />
+            <EntityLookup
+              data={data}
+              icons={icons}
+              query={entityQuery}
+              minN={minN}
+              onPickEntity={setEntityQuery}
+              onPickChampion={(c) => { pickChampion(c); setLookupMode("champion"); }}
+            />
+          </div>
+        )}
       </Section>
 
-      {champion && (
+      {lookupMode === "champion" && !champion && champions.length > 0 && (
+        <Section title="All champions">
+          <ChampionOverview data={data} champions={champions} minN={minN} sortKey={sortKey} onPickChampion={pickChampion} />
+        </Section>
+      )}
+
+      {lookupMode === "champion" && !champion && data.vshop.length > 0 && (
+        <Section title="Voucher vs shop — significant differences">
+          <VoucherSignificance vshop={data.vshop} onPickChampion={pickChampion} />
+        </Section>
+      )}
+
+      {lookupMode === "champion" && champion && (
         <>
+<div className="flex justify-end items-center gap-3 -mb-3">
+  <button className="mr-auto text-sm text-gray-600 hover:underline" onClick={() => setChampQuery("")}>← All champions</button>
+  <select className="rounded-md border border-gray-300 px-2 py-1 text-sm" value={champView} onChange={(e) => setChampView(e.target.value)}>
+    <option value="lists">Full lists</option>
+    <option value="tiers">Tier list</option>
+    <option value="charts">Charts</option>
+  </select>
+  <ExportMenu
+    view={{ champion, minN, sortKey, prisRows, legRows, augByTier, vshopRow }}
+    iconFor={(section, name) => (section === "pris" || section === "leg" ? getItemIcon(name, icons.items) : getAugIcon(name, icons.augs))}
+  />
+</div>
+<Section title="Recommended build">
+  <BuildPlanner
+    key={champion}
+    rows={planRows}
+    avgs={planAvgs}
+    vshopTest={vshopTest}
+    icons={icons}
+    onSelect={(slot, name) => setDetail({ kind: slot.tier ? "aug" : "item", name, tier: slot.tier })}
+  />
+</Section>
+{champView === "charts" && (
+  <Section title="Charts">
+    <ChampionCharts
+      prisRows={prisRows}
+      legRows={legRows}
+      augByTier={augByTier}
+      avgs={baselines}
+      vshopTest={vshopTest}
+      icons={icons}
+      selected={highlight}
+      onPick={(p) => setHighlight((h) => ({ ...p, seq: (h?.seq || 0) + 1 }))}
+    />
+  </Section>
+)}
+{champView !== "tiers" && (
+          <>
 {/* === Items side-by-side (always 2 cols) === */}
 <div className="grid grid-cols-2 gap-6">
   {/* PRISMATIC (left) */}
   <Section title="Prismatic items — full list">
     {prisRows.length ? (
-      <div className="space-y-2">
-        {prisRows.map((r) => {
+      <VirtualList
+        items={prisRows}
+        itemKey={(r) => r.item_name}
+        focusIndex={highlight?.series === "pris" ? prisRows.findIndex((r) => r.item_name === highlight.name) : -1}
+        focusKey={highlight?.seq}
+        renderItem={(r) => {
           const url = getItemIcon(r.item_name, icons.items);
           return (
             <Row
               key={r.item_name + "-p"}
               icon={<CDImg src={url} name={r.item_name} />}
               title={r.item_name}
+              onClick={() => setDetail({ kind: "item", name: r.item_name })}
+              active={isActive("item", r.item_name)}
               right={
                 <>
-                  <Stat label="WR" value={fmtPct(r.win_rate_present)} />
+                  <Stat label="WR" value={fmtPct(r.win_rate_present)} sub={fmtCI(r.win_rate_present, r.n_present)} />
+                  {sortKey === "shrunk" && <Stat label="Adj WR" value={fmtPct(shrink(r.win_rate_present, r.n_present, baselines.pris))} />}
+                  {shownPlacement.map((k) => <Stat key={k} label={PLACEMENT_METRICS[k].label} value={placementText(k, r, "win_rate_present")} />)}
                   <Stat label="N" value={fmtInt(r.n_present)} />
+                  <Change row={r} />
                 </>
               }
             />
           );
-        })}
-      </div>
+        }}
+      />
     ) : (
       <div className="text-sm text-gray-500">No prismatic rows with N ≥ {minN}.</div>
     )}
@@ -465,24 +763,33 @@ export default function ArenaExplorer() {
   {/* LEGENDARY (right) */}
   <Section title="Legendary items — full list">
     {legRows.length ? (
-      <div className="space-y-2">
-        {legRows.map((r) => {
+      <VirtualList
+        items={legRows}
+        itemKey={(r) => r.item_name}
+        focusIndex={highlight?.series === "leg" ? legRows.findIndex((r) => r.item_name === highlight.name) : -1}
+        focusKey={highlight?.seq}
+        renderItem={(r) => {
           const url = getItemIcon(r.item_name, icons.items);
           return (
             <Row
               key={r.item_name + "-l"}
               icon={<CDImg src={url} name={r.item_name} />}
               title={r.item_name}
+              onClick={() => setDetail({ kind: "item", name: r.item_name })}
+              active={isActive("item", r.item_name)}
               right={
                 <>
-                  <Stat label="WR" value={fmtPct(r.win_rate_present)} />
+                  <Stat label="WR" value={fmtPct(r.win_rate_present)} sub={fmtCI(r.win_rate_present, r.n_present)} />
+                  {sortKey === "shrunk" && <Stat label="Adj WR" value={fmtPct(shrink(r.win_rate_present, r.n_present, baselines.leg))} />}
+                  {shownPlacement.map((k) => <Stat key={k} label={PLACEMENT_METRICS[k].label} value={placementText(k, r, "win_rate_present")} />)}
                   <Stat label="N" value={fmtInt(r.n_present)} />
+                  <Change row={r} />
                 </>
               }
             />
           );
-        })}
-      </div>
+        }}
+      />
     ) : (
       <div className="text-sm text-gray-500">No legendary rows with N ≥ {minN}.</div>
     )}
@@ -501,22 +808,36 @@ export default function ArenaExplorer() {
                   <Badge>silver</Badge>
                   <span className="text-xs text-gray-500">{(augByTier.silver || []).length} rows</span>
                 </div>
-                <div className="space-y-2 max-h-[520px] overflow-auto pr-1">
-                  {(augByTier.silver || []).map((r) => {
+                <VirtualList
+                  items={augByTier.silver || []}
+                  itemKey={(r) => r.augment_name}
+                  focusIndex={highlight?.series === "silver" ? (augByTier.silver || []).findIndex((r) => r.augment_name === highlight.name) : -1}
+                  focusKey={highlight?.seq}
+                  maxHeight={520}
+                  threshold={0}
+                  renderItem={(r) => {
                     const url = getAugIcon(r.augment_name, icons.augs);
                     return (
                       <Row
                         key={`silver-${r.augment_name}`}
                         icon={<AugIcon tier={r.tier_norm} src={url} name={r.augment_name} />}
                         title={r.augment_name}
+                        onClick={() => setDetail({ kind: "aug", name: r.augment_name, tier: "silver" })}
+                        active={isActive("aug", r.augment_name, "silver")}
                         right={<>
-                          <Badge>{fmtPct(r.win_rate)}</Badge>
+                          <div className="flex flex-col items-end">
+                            <Badge>{fmtPct(r.win_rate)}</Badge>
+                            <CI p={r.win_rate} n={r.n} />
+                          </div>
+                          {sortKey === "shrunk" && <Badge>adj {fmtPct(shrink(r.win_rate, r.n, baselines.aug))}</Badge>}
+                          {shownPlacement.map((k) => <Badge key={k}>{PLACEMENT_METRICS[k].label} {placementText(k, r, "win_rate")}</Badge>)}
                           <Badge>N {fmtInt(r.n)}</Badge>
+                          <Change row={r} />
                         </>}
                       />
                     );
-                  })}
-                </div>
+                  }}
+                />
               </div>
 
               {/* GOLD */}
@@ -525,22 +846,36 @@ export default function ArenaExplorer() {
                   <Badge>gold</Badge>
                   <span className="text-xs text-gray-500">{(augByTier.gold || []).length} rows</span>
                 </div>
-                <div className="space-y-2 max-h-[520px] overflow-auto pr-1">
-                  {(augByTier.gold || []).map((r) => {
+                <VirtualList
+                  items={augByTier.gold || []}
+                  itemKey={(r) => r.augment_name}
+                  focusIndex={highlight?.series === "gold" ? (augByTier.gold || []).findIndex((r) => r.augment_name === highlight.name) : -1}
+                  focusKey={highlight?.seq}
+                  maxHeight={520}
+                  threshold={0}
+                  renderItem={(r) => {
                     const url = getAugIcon(r.augment_name, icons.augs);
                     return (
                       <Row
                         key={`gold-${r.augment_name}`}
                         icon={<AugIcon tier={r.tier_norm} src={url} name={r.augment_name} />}
                         title={r.augment_name}
+                        onClick={() => setDetail({ kind: "aug", name: r.augment_name, tier: "gold" })}
+                        active={isActive("aug", r.augment_name, "gold")}
                         right={<>
-                          <Badge>{fmtPct(r.win_rate)}</Badge>
+                          <div className="flex flex-col items-end">
+                            <Badge>{fmtPct(r.win_rate)}</Badge>
+                            <CI p={r.win_rate} n={r.n} />
+                          </div>
+                          {sortKey === "shrunk" && <Badge>adj {fmtPct(shrink(r.win_rate, r.n, baselines.aug))}</Badge>}
+                          {shownPlacement.map((k) => <Badge key={k}>{PLACEMENT_METRICS[k].label} {placementText(k, r, "win_rate")}</Badge>)}
                           <Badge>N {fmtInt(r.n)}</Badge>
+                          <Change row={r} />
                         </>}
                       />
                     );
-                  })}
-                </div>
+                  }}
+                />
               </div>
 
               {/* PRISMATIC */}
@@ -549,28 +884,57 @@ export default function ArenaExplorer() {
                   <Badge>prismatic</Badge>
                   <span className="text-xs text-gray-500">{(augByTier.prismatic || []).length} rows</span>
                 </div>
-                <div className="space-y-2 max-h={[520]} overflow-auto pr-1">
-                  {(augByTier.prismatic || []).map((r) => {
+                <VirtualList
+                  items={augByTier.prismatic || []}
+                  itemKey={(r) => r.augment_name}
+                  focusIndex={highlight?.series === "prismatic" ? (augByTier.prismatic || []).findIndex((r) => r.augment_name === highlight.name) : -1}
+                  focusKey={highlight?.seq}
+                  maxHeight={520}
+                  threshold={0}
+                  renderItem={(r) => {
                     const url = getAugIcon(r.augment_name, icons.augs);
                     return (
                       <Row
                         key={`prismatic-${r.augment_name}`}
                         icon={<AugIcon tier={r.tier_norm} src={url} name={r.augment_name} />}
                         title={r.augment_name}
+                        onClick={() => setDetail({ kind: "aug", name: r.augment_name, tier: "prismatic" })}
+                        active={isActive("aug", r.augment_name, "prismatic")}
                         right={<>
-                          <Badge>{fmtPct(r.win_rate)}</Badge>
+                          <div className="flex flex-col items-end">
+                            <Badge>{fmtPct(r.win_rate)}</Badge>
+                            <CI p={r.win_rate} n={r.n} />
+                          </div>
+                          {sortKey === "shrunk" && <Badge>adj {fmtPct(shrink(r.win_rate, r.n, baselines.aug))}</Badge>}
+                          {shownPlacement.map((k) => <Badge key={k}>{PLACEMENT_METRICS[k].label} {placementText(k, r, "win_rate")}</Badge>)}
                           <Badge>N {fmtInt(r.n)}</Badge>
+                          <Change row={r} />
                         </>}
                       />
                     );
-                  })}
-                </div>
+                  }}
+                />
               </div>
             </div>
             </div>
           </Section>
+          </>
+)}
+{champView === "tiers" && (
+  <Section title="Tier list">
+    <TierList champion={champion} groups={tierGroups} icons={icons} onSelect={(g, name) => setDetail({ kind: g.tier ? "aug" : "item", name, tier: g.tier })} />
+  </Section>
+)}
 
-
+{data.pairs.length > 0 && (
+  <Section title="Synergies — augment and prismatic pairs">
+    {synergyRows.pairRows.length ? (
+      <SynergyExplorer key={champion} {...synergyRows} avg={baselines.aug} minN={minN} icons={icons} />
+    ) : (
+      <div className="text-sm text-gray-500">No pair data for this champion.</div>
+    )}
+  </Section>
+)}
 
                     <Section title="2000g Legendary Voucher vs 2500g Direct Purchase (per champion)">
                       {vshopRow ? (
@@ -591,6 +955,10 @@ export default function ArenaExplorer() {
                               <Stat label="N" value={fmtInt(vshopRow.n_shop2500)} />
                             </>}
                           />
+                          <div className={`sm:col-span-2 rounded-xl border p-3 text-sm ${vshopTest.verdict === "voucher" ? "bg-emerald-50" : vshopTest.verdict === "shop" ? "bg-rose-50" : "bg-gray-50"}`}>
+                            {recommendation(vshopTest)}
+                            <div className="mt-1 text-xs text-gray-500">Two-proportion z-test for this champion alone; the all-champions view corrects for testing every champion at once.</div>
+                          </div>
                         </div>
                       ) : (
                         <div className="text-sm text-gray-500">No voucher vs shop data for this champion.</div>
@@ -599,6 +967,18 @@ export default function ArenaExplorer() {
                   </>
                 )}
 
+                {detail && champion && (
+                  <DetailDrawer
+                    entity={detail}
+                    champion={champion}
+                    data={data}
+                    baseData={baseData}
+                    metaIndex={metaIndex}
+                    icons={icons}
+                    onClose={closeDetail}
+                  />
+                )}
+
                 <div className="text-xs text-gray-500 text-center pt-4">Drop in your CSVs above. All processing happens locally in your browser. Icons courtesy of CommunityDragon.</div>
               </div>
             );
@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from "react";
+import { PLAN_SLOTS, pickReason, recommendBuild } from "./buildPlan";
+import { recommendation } from "./voucherTest";
+import { fmtPct } from "./format";
+import { getAugIcon, getItemIcon } from "./cdragon";
+import { AugIcon, Badge, CDImg, Row } from "./ui";
+
+const btn = "rounded-md border border-gray-300 px-2 py-0.5 text-xs hover:bg-gray-50";
+
+// Recommended prismatic, legendaries and one augment per tier for the selected
+// champion, from the lists as currently filtered. Locks and exclusions last until the
+// champion changes.
+export default function BuildPlanner({ rows, avgs, vshopTest, icons, onSelect }) {
+  const [locked, setLocked] = useState([]); // [{ key, group, name }], oldest first
+  const [excluded, setExcluded] = useState([]); // same shape
+
+  const plan = useMemo(
+    () => recommendBuild(rows, avgs, { locked: new Set(locked.map((l) => l.key)), excluded: new Set(excluded.map((x) => x.key)) }),
+    [rows, avgs, locked, excluded]
+  );
+
+  // Locking more than a slot holds drops the oldest lock in that slot.
+  function lock(slot, c) {
+    setExcluded((prev) => prev.filter((x) => x.key !== c.key));
+    setLocked((prev) => {
+      const next = [...prev.filter((l) => l.key !== c.key), { key: c.key, group: slot.group, name: c.name }];
+      const inSlot = next.filter((l) => l.group === slot.group);
+      const drop = new Set(inSlot.slice(0, Math.max(0, inSlot.length - slot.count)).map((l) => l.key));
+      return next.filter((l) => !drop.has(l.key));
+    });
+  }
+  const unlock = (key) => setLocked((prev) => prev.filter((l) => l.key !== key));
+  function exclude(slot, c) {
+    unlock(c.key);
+    setExcluded((prev) => [...prev.filter((x) => x.key !== c.key), { key: c.key, group: slot.group, name: c.name }]);
+  }
+  const restore = (key) => setExcluded((prev) => prev.filter((x) => x.key !== key));
+
+  const icon = (c) => (c.tier
+    ? <AugIcon tier={c.tier} src={getAugIcon(c.name, icons.augs)} name={c.name} />
+    : <CDImg src={getItemIcon(c.name, icons.items)} name={c.name} />);
+  const labelOf = (group) => PLAN_SLOTS.find((s) => s.group === group)?.label || "";
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {plan.map((slot) => (
+          <div key={slot.group} className="rounded-xl border p-3 space-y-2">
+            <div className="font-semibold text-sm">{slot.label}</div>
+            {slot.picks.length ? slot.picks.map((c) => (
+              <Row
+                key={c.key}
+                icon={icon(c)}
+                title={<>{c.name}{c.locked && <span className="ml-1 text-xs text-blue-600">locked</span>}</>}
+                subtitle={`${fmtPct(c.wr)} · ${pickReason(c)}`}
+                onClick={() => onSelect(slot, c.name)}
+                right={
+                  <span className="flex gap-1" onClick={(e) => e.stopPropagation()} onKeyDown={(e) => e.stopPropagation()}>
+                    {c.locked
+                      ? <button className={btn} onClick={() => unlock(c.key)}>Unlock</button>
+                      : <button className={btn} onClick={() => lock(slot, c)} title="Keep this pick whatever the stats say">Lock</button>}
+                    <button className={btn} onClick={() => exclude(slot, c)} title="Never pick this">Exclude</button>
+                  </span>
+                }
+              />
+            )) : (
+              <div className="text-sm text-gray-500">Nothing to pick at this min N.</div>
+            )}
+            {slot.missing.length > 0 && (
+              <div className="text-xs text-amber-700">
+                Locked but not in the list at this min N: {locked.filter((l) => slot.missing.includes(l.key)).map((l) => l.name).join(", ")}
+              </div>
+            )}
+            {slot.alternates.length > 0 && (
+              <div className="space-y-1">
+                <div className="text-xs text-gray-500">Alternates</div>
+                {slot.alternates.map((c) => (
+                  <div key={c.key} className="flex items-center justify-between gap-2 text-sm">
+                    <span className="truncate">
+                      {c.name} <span className="text-xs text-gray-500">{fmtPct(c.wr)} · {pickReason(c)}</span>
+                    </span>
+                    <span className="flex gap-1 shrink-0">
+                      <button className={btn} onClick={() => lock(slot, c)} title="Use this instead">Use</button>
+                      <button className={btn} onClick={() => exclude(slot, c)}>Exclude</button>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+        <div className={`rounded-xl border p-3 text-sm ${vshopTest?.verdict === "voucher" ? "bg-emerald-50" : vshopTest?.verdict === "shop" ? "bg-rose-50" : "bg-gray-50"}`}>
+          <div className="font-semibold mb-1">Legendary purchase</div>
+          {vshopTest ? recommendation(vshopTest) : "No voucher vs shop data for this champion."}
+        </div>
+      </div>
+      {excluded.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+          Excluded:
+          {excluded.map((x) => (
+            <Badge key={x.key} onRemove={() => restore(x.key)}>{x.name} · {labelOf(x.group).toLowerCase()}</Badge>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-gray-500">Picks are ranked by win rate pulled toward the champion's average in proportion to sample size, so a strong row with few games doesn't beat a solid one with many. Reasons show the raw win rate's difference from the champion's average.</p>
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+import React, { useMemo, useState } from "react";
+import { AUG_SERIES, SERIES, boxStats, linearTicks, logTicks, scatterPoints } from "./chartData";
+import { wilson } from "./stats";
+import { fmtInt, fmtPct } from "./format";
+import { getAugIcon, getItemIcon } from "./cdragon";
+import { AugIcon, CDImg } from "./ui";
+import { recommendation } from "./voucherTest";
+
+const W = 640;
+const M = { l: 44, r: 12, t: 12, b: 32 };
+
+const same = (a, b) => a && b && a.series === b.series && a.name === b.name;
+
+// Champion-average reference lines: each item list has its own average, augments share one.
+const AVG_LINES = [
+  { key: "pris", series: ["pris"], label: "prismatic item avg", color: SERIES.pris.color },
+  { key: "leg", series: ["leg"], label: "legendary item avg", color: SERIES.leg.color },
+  { key: "aug", series: AUG_SERIES, label: "augment avg", color: "#9ca3af" },
+];
+
+// Hover card with the point's icon; positioned over the SVG in viewBox percentages.
+function Tooltip({ point, x, y, h, icons }) {
+  const url = point.kind === "aug" ? getAugIcon(point.name, icons.augs) : getItemIcon(point.name, icons.items);
+  return (
+    <div
+      className="pointer-events-none absolute z-10 flex items-center gap-2 rounded-md border border-gray-200 bg-white px-2 py-1 text-xs shadow"
+      style={{ left: `${(x / W) * 100}%`, top: `${(y / h) * 100}%`, transform: `translate(${x > W / 2 ? "-100%" : "0"}, -110%)` }}
+    >
+      {point.kind === "aug" ? <AugIcon tier={point.tier} src={url} name={point.name} /> : <CDImg src={url} name={point.name} />}
+      <div>
+        <div className="font-medium">{point.name}</div>
+        <div className="text-gray-500 tabular-nums">{SERIES[point.series].label} · {fmtPct(point.wr)} · N {fmtInt(point.n)}</div>
+      </div>
+    </div>
+  );
+}
+
+// WR against N (log scale), one colour per list.
+function Scatter({ points, avgs, icons, selected, onPick }) {
+  const H = 320;
+  const [hidden, setHidden] = useState([]); // series switched off in the legend
+  const [hover, setHover] = useState(null);
+  const shown = points.filter((p) => !hidden.includes(p.series));
+
+  const ns = points.map((p) => p.n), wrs = points.map((p) => p.wr);
+  const nMin = Math.max(1, Math.min(...ns) / 1.2), nMax = Math.max(...ns) * 1.2;
+  const wLo = Math.max(0, Math.min(...wrs) - 0.02), wHi = Math.min(1, Math.max(...wrs) + 0.02);
+  const x = (n) => M.l + ((Math.log10(n) - Math.log10(nMin)) / (Math.log10(nMax) - Math.log10(nMin) || 1)) * (W - M.l - M.r);
+  const y = (wr) => H - M.b - ((wr - wLo) / (wHi - wLo || 1)) * (H - M.t - M.b);
+
+  // Average lines for the lists on show, lowest first; a label that would overlap the
+  // previous one is moved left.
+  const avgLines = AVG_LINES
+    .filter((l) => l.series.some((k) => shown.some((p) => p.series === k)))
+    .map((l) => ({ ...l, avg: avgs[l.key] }))
+    .filter((l) => isFinite(l.avg) && l.avg >= wLo && l.avg <= wHi)
+    .sort((a, b) => a.avg - b.avg)
+    .reduce((out, l) => {
+      const prev = out[out.length - 1];
+      const shift = prev && Math.abs(y(l.avg) - y(prev.avg)) < 12 ? prev.shift + 150 : 0;
+      return [...out, { ...l, shift }];
+    }, []);
+
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap gap-3 text-xs">
+        {Object.entries(SERIES).filter(([k]) => points.some((p) => p.series === k)).map(([k, s]) => (
+          <button
+            key={k}
+            className={`inline-flex items-center gap-1 ${hidden.includes(k) ? "opacity-40" : ""}`}
+            onClick={() => setHidden((prev) => (prev.includes(k) ? prev.filter((h) => h !== k) : [...prev, k]))}
+          >
+            <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ background: s.color }} />
+            {s.label}
+          </button>
+        ))}
+      </div>
+      <div className="relative">
+        <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto text-gray-500" role="img" aria-label="Win rate against sample size">
+          {linearTicks(wLo, wHi).map((t) => (
+            <g key={t}>
+              <line x1={M.l} x2={W - M.r} y1={y(t)} y2={y(t)} stroke="#f3f4f6" />
+              <text x={M.l - 4} y={y(t)} dy="0.32em" textAnchor="end" fontSize="10" fill="currentColor">{(t * 100).toFixed(0)}%</text>
+            </g>
+          ))}
+          {logTicks(nMin, nMax).map((t) => (
+            <text key={t} x={x(t)} y={H - M.b + 14} textAnchor="middle" fontSize="10" fill="currentColor">{fmtInt(t)}</text>
+          ))}
+          <text x={(M.l + W - M.r) / 2} y={H - 4} textAnchor="middle" fontSize="10" fill="currentColor">N (log scale)</text>
+          {avgLines.map((l) => (
+            <g key={l.key}>
+              <line x1={M.l} x2={W - M.r} y1={y(l.avg)} y2={y(l.avg)} stroke={l.color} strokeDasharray="4 3" />
+              <text x={W - M.r - l.shift} y={y(l.avg) - 4} textAnchor="end" fontSize="10" fill="currentColor">{l.label} {fmtPct(l.avg)}</text>
+            </g>
+          ))}
+          {shown.map((p) => {
+            const sel = same(p, selected);
+            return (
+              <circle
+                key={`${p.series}-${p.name}`}
+                cx={x(p.n)}
+                cy={y(p.wr)}
+                r={sel ? 6 : 4}
+                fill={SERIES[p.series].color}
+                fillOpacity={sel ? 1 : 0.7}
+                stroke={sel ? "#111827" : "white"}
+                strokeWidth={sel ? 2 : 1}
+                className="cursor-pointer"
+                onMouseEnter={() => setHover({ point: p, x: x(p.n), y: y(p.wr) })}
+                onMouseLeave={() => setHover(null)}
+                onClick={() => onPick(p)}
+              />
+            );
+          })}
+        </svg>
+        {hover && <Tooltip {...hover} h={H} icons={icons} />}
+      </div>
+    </div>
+  );
+}
+
+// Augment WRs per tier: quartile box, min–max whisker and every augment as a dot.
+function TierDistribution({ points, icons, selected, onPick }) {
+  const tiers = AUG_SERIES.filter((t) => points.some((p) => p.series === t));
+  const rowH = 56;
+  const H = M.t + tiers.length * rowH + M.b;
+  const [hover, setHover] = useState(null);
+  if (!tiers.length) return <div className="text-sm text-gray-500">No augment rows at this min N.</div>;
+
+  const wrs = points.filter((p) => tiers.includes(p.series)).map((p) => p.wr);
+  const lo = Math.max(0, Math.min(...wrs) - 0.02), hi = Math.min(1, Math.max(...wrs) + 0.02);
+  const L = M.l + 40;
+  const x = (wr) => L + ((wr - lo) / (hi - lo || 1)) * (W - L - M.r);
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto text-gray-500" role="img" aria-label="Augment win rate distribution by tier">
+        {linearTicks(lo, hi).map((t) => (
+          <g key={t}>
+            <line x1={x(t)} x2={x(t)} y1={M.t} y2={H - M.b} stroke="#f3f4f6" />
+            <text x={x(t)} y={H - M.b + 14} textAnchor="middle" fontSize="10" fill="currentColor">{(t * 100).toFixed(0)}%</text>
+          </g>
+        ))}
+        {tiers.map((t, i) => {
+          const pts = points.filter((p) => p.series === t);
+          const b = boxStats(pts.map((p) => p.wr));
+          const cy = M.t + i * rowH + rowH / 2;
+          const color = SERIES[t].color;
+          return (
+            <g key={t}>
+              <text x={M.l + 32} y={cy} dy="0.32em" textAnchor="end" fontSize="11" fill="currentColor">{t}</text>
+              <line x1={x(b.min)} x2={x(b.max)} y1={cy} y2={cy} stroke={color} />
+              <rect x={x(b.q1)} y={cy - 12} width={Math.max(1, x(b.q3) - x(b.q1))} height={24} fill={color} fillOpacity="0.15" stroke={color} />
+              <line x1={x(b.median)} x2={x(b.median)} y1={cy - 12} y2={cy + 12} stroke={color} strokeWidth="2" />
+              <text x={W - M.r} y={cy - 16} textAnchor="end" fontSize="10" fill="currentColor">median {fmtPct(b.median)} · {b.count} augments</text>
+              {pts.map((p, k) => {
+                const sel = same(p, selected);
+                const cyp = cy + ((k % 5) - 2) * 3; // small fixed jitter so equal WRs don't stack
+                return (
+                  <circle
+                    key={p.name}
+                    cx={x(p.wr)}
+                    cy={cyp}
+                    r={sel ? 5 : 3}
+                    fill={color}
+                    stroke={sel ? "#111827" : "white"}
+                    strokeWidth={sel ? 2 : 0.5}
+                    className="cursor-pointer"
+                    onMouseEnter={() => setHover({ point: p, x: x(p.wr), y: cyp })}
+                    onMouseLeave={() => setHover(null)}
+                    onClick={() => onPick(p)}
+                  />
+                );
+              })}
+            </g>
+          );
+        })}
+      </svg>
+      {hover && <Tooltip {...hover} h={H} icons={icons} />}
+    </div>
+  );
+}
+
+// Voucher vs shop WR with 95% intervals.
+function VoucherBars({ test }) {
+  const H = 200;
+  const bars = [
+    { label: "Voucher (2000g)", wr: test.wrVoucher, n: test.nVoucher, color: "#f59e0b" },
+    { label: "Shop (2500g)", wr: test.wrShop, n: test.nShop, color: "#10b981" },
+  ].map((b) => ({ ...b, ci: wilson(b.wr, b.n) }));
+  const top = Math.min(1, Math.max(...bars.map((b) => b.ci.hi)) + 0.05);
+  const y = (wr) => H - M.b - (wr / top) * (H - M.t - M.b);
+  const bw = 80;
+  return (
+    <div className="space-y-1">
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto text-gray-500" role="img" aria-label="Voucher vs shop win rate">
+        {linearTicks(0, top, 4).map((t) => (
+          <g key={t}>
+            <line x1={M.l} x2={W - M.r} y1={y(t)} y2={y(t)} stroke="#f3f4f6" />
+            <text x={M.l - 4} y={y(t)} dy="0.32em" textAnchor="end" fontSize="10" fill="currentColor">{(t * 100).toFixed(0)}%</text>
+          </g>
+        ))}
+        {bars.map((b, i) => {
+          const cx = M.l + (W - M.l - M.r) * (i === 0 ? 0.3 : 0.7);
+          return (
+            <g key={b.label}>
+              {isFinite(b.wr) && <rect x={cx - bw / 2} y={y(b.wr)} width={bw} height={y(0) - y(b.wr)} fill={b.color} fillOpacity="0.8" />}
+              {b.n > 0 && (
+                <g stroke="#374151">
+                  <line x1={cx} x2={cx} y1={y(b.ci.lo)} y2={y(b.ci.hi)} />
+                  <line x1={cx - 8} x2={cx + 8} y1={y(b.ci.lo)} y2={y(b.ci.lo)} />
+                  <line x1={cx - 8} x2={cx + 8} y1={y(b.ci.hi)} y2={y(b.ci.hi)} />
+                </g>
+              )}
+              <text x={cx} y={H - M.b + 14} textAnchor="middle" fontSize="11" fill="currentColor">{b.label}</text>
+              <text x={cx} y={H - 4} textAnchor="middle" fontSize="10" fill="currentColor">{fmtPct(b.wr)} · N {fmtInt(b.n)}</text>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="text-xs text-gray-600">{recommendation(test)}</div>
+    </div>
+  );
+}
+
+// Chart view for the selected champion. Clicking a point picks out its row in the lists.
+export default function ChampionCharts({ prisRows, legRows, augByTier, avgs, vshopTest, icons, selected, onPick }) {
+  const points = useMemo(() => scatterPoints(prisRows, legRows, augByTier), [prisRows, legRows, augByTier]);
+  const augPoints = points.filter((p) => p.kind === "aug");
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="mb-1 text-sm font-semibold">Win rate vs sample size</div>
+        {points.length ? <Scatter points={points} avgs={avgs} icons={icons} selected={selected} onPick={onPick} /> : <div className="text-sm text-gray-500">No rows at this min N.</div>}
+      </div>
+      <div>
+        <div className="mb-1 text-sm font-semibold">Augment win rates by tier</div>
+        <TierDistribution points={augPoints} icons={icons} selected={selected} onPick={onPick} />
+      </div>
+      <div>
+        <div className="mb-1 text-sm font-semibold">Voucher vs shop</div>
+        {vshopTest ? <VoucherBars test={vshopTest} /> : <div className="text-sm text-gray-500">No voucher vs shop data for this champion.</div>}
+      </div>
+    </div>
+  );
+}
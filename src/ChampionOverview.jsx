@@ -0,0 +1,114 @@
+import React, { useMemo, useState } from "react";
+import { AUG_TIERS, buildOverview } from "./overviewStats";
+import { SORT_LABELS } from "./stats";
+import { fmtDelta, fmtInt, fmtPct, normKey } from "./format";
+import { CI } from "./ui";
+
+const COLUMNS = [
+  { key: "champion", label: "Champion", align: "left" },
+  { key: "games", label: "Games", align: "right", title: "Largest summed N of one dataset group for this champion (an estimate)" },
+  { key: "wr", label: "WR", align: "right", title: "Pooled over the champion's augment rows" },
+  { key: "pris", label: "Best prismatic", align: "left" },
+  ...AUG_TIERS.map((t) => ({ key: t, label: `Best ${t} aug`, align: "left" })),
+  { key: "gap", label: "Voucher − shop", align: "right", title: "2000g voucher WR minus 2500g shop WR" },
+];
+
+const sortValue = {
+  champion: (r) => r.champion,
+  games: (r) => r.games,
+  wr: (r) => r.wr,
+  pris: (r) => r.bestPris?.wr,
+  silver: (r) => r.bestAug.silver?.wr,
+  gold: (r) => r.bestAug.gold?.wr,
+  prismatic: (r) => r.bestAug.prismatic?.wr,
+  gap: (r) => r.vshop?.gap,
+};
+
+function BestCell({ best, nameKey }) {
+  if (!best) return <span className="text-gray-400">–</span>;
+  return (
+    <div className="min-w-0">
+      <div className="truncate max-w-[10rem]" title={best.row[nameKey]}>{best.row[nameKey]}</div>
+      <div className="text-[10px] text-gray-500 tabular-nums">{fmtPct(best.wr)} · N {fmtInt(best.n)}</div>
+    </div>
+  );
+}
+
+// Landing table: every champion in the loaded data. "Best" columns are the top row
+// under the page's min N and sort settings.
+export default function ChampionOverview({ data, champions, minN, sortKey, onPickChampion }) {
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState({ key: "games", dir: -1 });
+
+  const rows = useMemo(() => buildOverview(data, champions, { minN, sortKey }), [data, champions, minN, sortKey]);
+
+  const sorted = useMemo(() => {
+    const q = normKey(query);
+    const val = sortValue[sort.key];
+    return rows
+      .filter((r) => !q || normKey(r.champion).includes(q))
+      .sort((a, b) => {
+        const va = val(a), vb = val(b);
+        if (typeof va === "string" || typeof vb === "string") return sort.dir * String(va ?? "").localeCompare(String(vb ?? ""));
+        return sort.dir * ((isFinite(va) ? va : -Infinity) - (isFinite(vb) ? vb : -Infinity));
+      });
+  }, [rows, sort, query]);
+
+  const toggleSort = (key) => setSort((s) => (s.key === key ? { key, dir: -s.dir } : { key, dir: key === "champion" ? 1 : -1 }));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          placeholder="Filter champions…"
+          className="w-64 rounded-md border border-gray-300 px-3 py-1.5 text-sm"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <span className="text-xs text-gray-500">
+          {sorted.length} of {rows.length} champions · best = top row by {(SORT_LABELS[sortKey] || sortKey).toLowerCase()}, N ≥ {minN}
+        </span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b">
+              {COLUMNS.map((c) => (
+                <th
+                  key={c.key}
+                  title={c.title}
+                  className={`py-1 px-2 font-medium text-gray-600 cursor-pointer select-none whitespace-nowrap ${c.align === "right" ? "text-right" : "text-left"}`}
+                  onClick={() => toggleSort(c.key)}
+                >
+                  {c.label}{sort.key === c.key ? (sort.dir < 0 ? " ↓" : " ↑") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((r) => (
+              <tr key={r.champion} className="border-b last:border-0 hover:bg-gray-50 cursor-pointer" onClick={() => onPickChampion(r.champion)}>
+                <td className="py-1 px-2 font-medium">{r.champion}</td>
+                <td className="py-1 px-2 text-right tabular-nums">{r.games ? fmtInt(r.games) : "–"}</td>
+                <td className="py-1 px-2 text-right tabular-nums">
+                  <div className="font-semibold">{fmtPct(r.wr)}</div>
+                  {r.games > 0 && <CI p={r.wr} n={r.games} />}
+                </td>
+                <td className="py-1 px-2"><BestCell best={r.bestPris} nameKey="item_name" /></td>
+                {AUG_TIERS.map((t) => (
+                  <td key={t} className="py-1 px-2"><BestCell best={r.bestAug[t]} nameKey="augment_name" /></td>
+                ))}
+                <td
+                  className={`py-1 px-2 text-right tabular-nums ${r.vshop?.gap > 0 ? "text-emerald-700" : r.vshop?.gap < 0 ? "text-rose-700" : ""}`}
+                  title={r.vshop ? `Voucher ${fmtPct(r.vshop.voucher)} (N ${fmtInt(r.vshop.nVoucher)}) · Shop ${fmtPct(r.vshop.shop)} (N ${fmtInt(r.vshop.nShop)})` : undefined}
+                >
+                  {r.vshop ? fmtDelta(r.vshop.gap) : "–"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React, { useId, useMemo, useState } from "react";
+import { rankNames } from "./fuzzyNames";
+import { getChampionIcon } from "./cdragon";
+import { CDImg, PlaceholderIcon } from "./ui";
+
+const Portrait = ({ name, icons }) => {
+  const url = getChampionIcon(name, icons.champions);
+  return url ? <CDImg src={url} name={name} size={24} /> : <PlaceholderIcon name={name} />;
+};
+
+// Champion combobox: fuzzy matches while typing, favourites and recents when empty.
+// ↑/↓ move, Enter picks (or submits the typed name when the list is closed), Escape
+// closes. `inputRef` lets the page focus it on "/".
+export default function ChampionSearch({ value, onChange, onPick, champions, icons, recents, favourites, onToggleFavourite, inputRef }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const listId = useId();
+
+  // [{ name, group }] in display order; group headers are shown where it changes.
+  const options = useMemo(() => {
+    if (value.trim()) return rankNames(value, champions).map((name) => ({ name, group: "" }));
+    const known = (c) => champions.includes(c);
+    const favs = favourites.filter(known);
+    return [
+      ...favs.map((name) => ({ name, group: "Favourites" })),
+      ...recents.filter((c) => known(c) && !favs.includes(c)).map((name) => ({ name, group: "Recent" })),
+    ];
+  }, [value, champions, recents, favourites]);
+
+  const shown = open && options.length > 0;
+  const current = Math.min(active, options.length - 1);
+
+  function pick(name) {
+    onPick(name);
+    setOpen(false);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!open) { setOpen(true); return; }
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((current + step + options.length) % Math.max(1, options.length));
+    } else if (e.key === "Enter") {
+      if (shown) { e.preventDefault(); pick(options[current].name); }
+      else if (value.trim()) { e.preventDefault(); pick(value); }
+    } else if (e.key === "Escape") {
+      if (open) { e.stopPropagation(); setOpen(false); }
+      else onChange("");
+    }
+  }
+
+  return (
+    <div className="relative">
+      <input
+        ref={inputRef}
+        role="combobox"
+        aria-expanded={shown}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={shown ? `${listId}-${current}` : undefined}
+        placeholder="Search champions… (press / to focus), or leave empty to list all"
+        className="w-full rounded-md border border-gray-300 px-3 py-2"
+        value={value}
+        onChange={(e) => { onChange(e.target.value); setActive(0); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+      />
+      {shown && (
+        <ul id={listId} role="listbox" className="absolute z-30 mt-1 w-full max-h-80 overflow-auto rounded-md border border-gray-200 bg-white shadow-lg py-1">
+          {options.map((o, i) => {
+            const fav = favourites.includes(o.name);
+            return (
+              <React.Fragment key={`${o.group}-${o.name}`}>
+                {o.group && o.group !== options[i - 1]?.group && (
+                  <li role="presentation" className="px-3 pt-1 text-[10px] uppercase tracking-wide text-gray-400">{o.group}</li>
+                )}
+                <li
+                  id={`${listId}-${i}`}
+                  role="option"
+                  aria-selected={i === current}
+                  className={`flex items-center gap-2 px-3 py-1 cursor-pointer ${i === current ? "bg-blue-50" : "hover:bg-gray-50"}`}
+                  onMouseDown={(e) => { e.preventDefault(); pick(o.name); }}
+                  onMouseEnter={() => setActive(i)}
+                >
+                  <Portrait name={o.name} icons={icons} />
+                  <span className="flex-1 truncate">{o.name}</span>
+                  <button
+                    type="button"
+                    tabIndex={-1}
+                    className={fav ? "text-amber-500" : "text-gray-300 hover:text-amber-500"}
+                    title={fav ? "Remove from favourites" : "Add to favourites"}
+                    onMouseDown={(e) => { e.preventDefault(); e.stopPropagation(); onToggleFavourite(o.name); }}
+                  >
+                    ★
+                  </button>
+                </li>
+              </React.Fragment>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import React, { useMemo, useState } from "react";
+import { BIG_SPREAD, COMPARE_GROUPS, buildComparison } from "./compareStats";
+import { voucherTest } from "./voucherTest";
+import { fmtDelta, fmtInt, fmtPct } from "./format";
+import { getAugIcon, getItemIcon } from "./cdragon";
+import { AugIcon, Badge, CDImg } from "./ui";
+import VirtualList from "./VirtualList";
+import { rankNames, resolveName } from "./fuzzyNames";
+
+const VERDICTS = { voucher: "Voucher better", shop: "Shop better", none: "No clear difference", few: "Too few games" };
+
+// Add champions by typing a name: Enter adds an exact or unambiguous match (see
+// fuzzyNames), and the candidates below the box can be clicked. `selected` is the full
+// list, champions not in the loaded data included, so editing it doesn't drop them.
+function ChampionPicker({ champions, selected, onChange }) {
+  const [draft, setDraft] = useState("");
+  const open = champions.filter((c) => !selected.includes(c));
+  const candidates = draft.trim() ? rankNames(draft, open) : [];
+  const add = (c) => {
+    if (!selected.includes(c)) onChange([...selected, c]);
+    setDraft("");
+  };
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          placeholder="Add a champion… (e.g., Vayne)"
+          className="w-64 rounded-md border border-gray-300 px-3 py-1.5 text-sm"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key !== "Enter") return;
+            const c = resolveName(draft, open);
+            if (c) add(c);
+          }}
+        />
+        {selected.map((c) => (
+          <span key={c} className={champions.includes(c) ? "" : "opacity-50"} title={champions.includes(c) ? undefined : "Not in the loaded data; kept until removed"}>
+            <Badge onRemove={() => onChange(selected.filter((x) => x !== c))}>{c}</Badge>
+          </span>
+        ))}
+      </div>
+      {draft.trim() && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {candidates.length ? (
+            candidates.map((c) => (
+              <button key={c} className="rounded-md border border-gray-300 px-2 py-0.5 hover:bg-gray-50" onClick={() => add(c)}>{c}</button>
+            ))
+          ) : (
+            <span className="text-gray-500">No champion matches “{draft}”.</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Two or more champions' items and augments in aligned columns, largest WR gaps first.
+export default function CompareChampions({ index, averages, champions, selected, onChange, minN, icons, onPickChampion }) {
+  const [groupKey, setGroupKey] = useState("pris");
+  const [sharedOnly, setSharedOnly] = useState(true);
+  const group = COMPARE_GROUPS.find((g) => g.key === groupKey);
+  const picked = useMemo(() => selected.filter((c) => champions.includes(c)), [selected, champions]);
+
+  const lines = useMemo(() => buildComparison(index, picked, group, minN), [index, picked, group, minN]);
+  const shown = sharedOnly ? lines.filter((l) => l.shared) : lines;
+  const vshop = picked.map((c) => ({ champion: c, test: (index.vshop.get(c) || [])[0] ? voucherTest(index.vshop.get(c)[0]) : null }));
+
+  const icon = (name) => (group.tier
+    ? <AugIcon tier={group.tier} src={getAugIcon(name, icons.augs)} name={name} />
+    : <CDImg src={getItemIcon(name, icons.items)} name={name} />);
+  const cols = { gridTemplateColumns: `minmax(12rem, 1.5fr) repeat(${picked.length}, minmax(6rem, 1fr)) 5rem` };
+
+  return (
+    <div className="space-y-3">
+      <ChampionPicker champions={champions} selected={selected} onChange={onChange} />
+      {picked.length < 2 ? (
+        <div className="text-sm text-gray-500">Pick at least two champions to compare.</div>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+            <select className="rounded-md border border-gray-300 px-2 py-1 text-sm" value={groupKey} onChange={(e) => setGroupKey(e.target.value)}>
+              {COMPARE_GROUPS.map((g) => <option key={g.key} value={g.key}>{g.label}</option>)}
+            </select>
+            <label className="inline-flex items-center gap-1">
+              <input type="checkbox" checked={sharedOnly} onChange={(e) => setSharedOnly(e.target.checked)} />
+              Only rows every champion has
+            </label>
+            <span className="text-xs text-gray-500">
+              {shown.length} rows with N ≥ {minN} · sorted by the gap between best and worst WR; gaps of {fmtPct(BIG_SPREAD)} or more are highlighted
+            </span>
+          </div>
+
+          <div className="overflow-x-auto">
+            <div className="min-w-[640px] text-sm">
+              <div className="grid gap-2 border-b pb-1 px-2 font-medium text-gray-600" style={cols}>
+                <span>{group.label}</span>
+                {picked.map((c) => (
+                  <button key={c} className="text-right hover:underline truncate" title={`Open ${c}`} onClick={() => onPickChampion(c)}>
+                    {c}
+                    <div className="text-[10px] font-normal text-gray-500 tabular-nums">avg {fmtPct(averages[group.dataset].get(c))}</div>
+                  </button>
+                ))}
+                <span className="text-right">Gap</span>
+              </div>
+              {shown.length ? (
+                <VirtualList
+                  items={shown}
+                  itemKey={(l) => l.key}
+                  gap={0}
+                  renderItem={(l) => {
+                    const big = l.spread >= BIG_SPREAD;
+                    return (
+                      <div className={`grid gap-2 items-center border-b px-2 py-1 ${big ? "bg-amber-50" : ""}`} style={cols}>
+                        <span className="flex items-center gap-2 min-w-0">{icon(l.name)}<span className="truncate">{l.name}</span></span>
+                        {l.cells.map((cell, i) => (
+                          <span key={i} className="text-right tabular-nums">
+                            {cell ? (
+                              <>
+                                <span className={i === l.best ? "font-semibold text-emerald-700" : i === l.worst ? "text-rose-700" : ""}>{fmtPct(cell.wr)}</span>
+                                <div className="text-[10px] text-gray-500">N {fmtInt(cell.n)}</div>
+                              </>
+                            ) : <span className="text-gray-400">–</span>}
+                          </span>
+                        ))}
+                        <span className={`text-right tabular-nums ${big ? "font-semibold" : ""}`}>{isFinite(l.spread) ? `${(l.spread * 100).toFixed(1)}%` : "–"}</span>
+                      </div>
+                    );
+                  }}
+                />
+              ) : (
+                <div className="py-2 text-sm text-gray-500">No {sharedOnly ? "shared " : ""}rows with N ≥ {minN}.</div>
+              )}
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="py-1 px-2 font-medium text-left">Voucher vs shop</th>
+                  <th className="py-1 px-2 font-medium text-right">Voucher (2000g)</th>
+                  <th className="py-1 px-2 font-medium text-right">Shop (2500g)</th>
+                  <th className="py-1 px-2 font-medium text-right">Voucher − shop</th>
+                  <th className="py-1 px-2 font-medium text-left">Verdict (this champion alone)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {vshop.map(({ champion, test }) => (
+                  <tr key={champion} className="border-b last:border-0">
+                    <td className="py-1 px-2 font-medium">{champion}</td>
+                    {test ? (
+                      <>
+                        <td className="py-1 px-2 text-right tabular-nums">{fmtPct(test.wrVoucher)} <span className="text-[10px] text-gray-500">N {fmtInt(test.nVoucher)}</span></td>
+                        <td className="py-1 px-2 text-right tabular-nums">{fmtPct(test.wrShop)} <span className="text-[10px] text-gray-500">N {fmtInt(test.nShop)}</span></td>
+                        <td className={`py-1 px-2 text-right tabular-nums ${test.diff > 0 ? "text-emerald-700" : test.diff < 0 ? "text-rose-700" : ""}`}>{fmtDelta(test.diff)}</td>
+                        <td className="py-1 px-2">{VERDICTS[test.verdict]}</td>
+                      </>
+                    ) : (
+                      <td className="py-1 px-2 text-gray-400" colSpan={4}>No voucher vs shop data</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
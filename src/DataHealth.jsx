@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from "react";
+import { DATASETS, typeLabel } from "./csvSchema";
+import { fileType } from "./aggregate";
+import { FIXES, ISSUES, N_GROUPS, N_RATIO, checkFile, checkNConsistency } from "./dataQuality";
+import { fmtInt, fmtPct } from "./format";
+
+const SHOWN_ROWS = 50;
+
+// Columns worth showing for a problem row of this dataset.
+function columnsFor(type) {
+  const ds = DATASETS[type];
+  if (!ds) return [];
+  return Array.from(new Set([...ds.key, ...ds.rates.flat()]));
+}
+
+// Per-file problem rows by category, with row inspection and the fixes from
+// dataQuality.FIXES, plus champions whose datasets disagree on how many games there were.
+export default function DataHealth({ files, index, onFix }) {
+  const [open, setOpen] = useState(false);
+  const [inspect, setInspect] = useState(null); // { id, issue }
+
+  const reports = useMemo(
+    () => files
+      .filter((f) => !f.error && (fileType(f) || f.parseErrors?.count))
+      .map((f) => ({ file: f, type: fileType(f), check: checkFile(fileType(f), f.rows, f.parseErrors?.rows) })),
+    [files]
+  );
+  const mismatches = useMemo(() => checkNConsistency(index), [index]);
+
+  const problemRows = reports.reduce((a, r) => a + r.check.total, 0);
+  if (!reports.length) return null;
+
+  const current = inspect && reports.find((r) => r.file.id === inspect.id);
+  const cols = current ? columnsFor(current.type) : [];
+  const inspected = current ? (current.check.rows[inspect.issue] || []).slice(0, SHOWN_ROWS) : [];
+
+  return (
+    <div className="mt-3">
+      <button className="text-sm text-gray-600 hover:underline" onClick={() => setOpen((o) => !o)}>
+        {open ? "▾" : "▸"} Data health ({fmtInt(problemRows)} problem rows, {mismatches.length} champions with inconsistent N)
+      </button>
+      {open && (
+        <div className="mt-2 space-y-3 text-sm">
+          {reports.map(({ file: f, type, check }) => (
+            <div key={f.id} className="rounded-xl border p-2 space-y-1">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium">{f.name}</span>
+                <span className="text-xs text-gray-500">
+                  {type ? typeLabel(type) : "unrecognised"} · {fmtInt(f.raw ? f.raw.participants : f.rows.length)} rows
+                  {f.parseErrors?.count > f.parseErrors?.rows.length && ` · ${fmtInt(f.parseErrors.count)} parser errors (first ${f.parseErrors.rows.length} listed)`}
+                  {f.fixes?.length > 0 && ` · applied: ${f.fixes.map((x) => FIXES[x].toLowerCase()).join(", ")}`}
+                </span>
+              </div>
+              {check.total ? (
+                <div className="flex flex-wrap items-center gap-2">
+                  {Object.keys(ISSUES).filter((k) => check.counts[k]).map((k) => {
+                    const active = inspect?.id === f.id && inspect.issue === k;
+                    return (
+                      <button
+                        key={k}
+                        className={`rounded-full border px-2 py-0.5 text-xs ${active ? "bg-amber-100 border-amber-300" : "bg-amber-50 border-amber-200 hover:bg-amber-100"}`}
+                        onClick={() => setInspect(active ? null : { id: f.id, issue: k })}
+                      >
+                        {ISSUES[k]}: {fmtInt(check.counts[k])}
+                      </button>
+                    );
+                  })}
+                  {Object.keys(FIXES).filter((k) => check.counts[k] && !f.raw).map((k) => (
+                    <button key={k} className="rounded-md border border-gray-300 px-2 py-0.5 text-xs hover:bg-gray-50" onClick={() => onFix(f.id, k)}>
+                      {FIXES[k]}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-xs text-emerald-700">No problems found.</div>
+              )}
+              {current?.file.id === f.id && (
+                <div className="overflow-x-auto max-h-[320px] overflow-y-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="border-b text-left text-gray-600">
+                        <th className="py-1 px-2 font-medium text-right">Row</th>
+                        {cols.map((c) => <th key={c} className="py-1 px-2 font-medium">{c}</th>)}
+                        {inspect.issue === "parse" && <th className="py-1 px-2 font-medium">Parser message</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {inspected.map((i, k) => (
+                        <tr key={`${i}-${k}`} className="border-b last:border-0">
+                          <td className="py-1 px-2 text-right tabular-nums text-gray-500">{i + 1}</td>
+                          {cols.map((c) => <td key={c} className="py-1 px-2 tabular-nums">{String(f.rows[i]?.[c] ?? "")}</td>)}
+                          {inspect.issue === "parse" && <td className="py-1 px-2 text-rose-700">{f.parseErrors.rows.find((e) => e.row === i)?.message}</td>}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {check.counts[inspect.issue] > SHOWN_ROWS && (
+                    <div className="p-2 text-xs text-gray-500">First {SHOWN_ROWS} of {fmtInt(check.counts[inspect.issue])} rows.</div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+
+          <div className="space-y-1">
+            <div className="font-medium">N consistency across datasets</div>
+            <p className="text-xs text-gray-500">
+              Summed N per champion in the prismatic file and each augment tier should each be about the champion's game count. Listed where the smallest is under {fmtPct(N_RATIO)} of the largest, which usually means files from different patches or filters.
+            </p>
+            {mismatches.length ? (
+              <div className="overflow-x-auto max-h-[320px] overflow-y-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="border-b text-left text-gray-600">
+                      <th className="py-1 px-2 font-medium">Champion</th>
+                      {N_GROUPS.map((g) => <th key={g.key} className="py-1 px-2 font-medium text-right">{g.label}</th>)}
+                      <th className="py-1 px-2 font-medium text-right">Smallest / largest</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {mismatches.map((m) => (
+                      <tr key={m.champion} className="border-b last:border-0">
+                        <td className="py-1 px-2">{m.champion}</td>
+                        {N_GROUPS.map((g) => <td key={g.key} className="py-1 px-2 text-right tabular-nums">{m.sums[g.key] ? fmtInt(m.sums[g.key]) : "–"}</td>)}
+                        <td className="py-1 px-2 text-right tabular-nums text-amber-700">{fmtPct(m.ratio)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="text-xs text-emerald-700">Every champion's datasets agree.</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
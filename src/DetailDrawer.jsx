@@ -0,0 +1,111 @@
+import React, { useEffect, useMemo } from "react";
+import { DATASETS, DATASET_KEYS } from "./csvSchema";
+import { withBaseline } from "./snapshots";
+import { pooledRate, toNum } from "./stats";
+import { fmtDelta, fmtInt, fmtPct, normKey } from "./format";
+import { getAugIcon, getItemIcon } from "./cdragon";
+import { fillDescription, findMeta, splitItemDescription } from "./metaDetails";
+import { AUG_ALIASES, ITEM_ALIASES } from "./nameResolver";
+import { AugIcon, Badge, CDImg, CI, Change } from "./ui";
+
+// Side panel for one item or augment: CommunityDragon details plus every figure the
+// loaded datasets have for it on the selected champion.
+// `entity` is { kind: "item" | "aug", name, tier? }.
+export default function DetailDrawer({ entity, champion, data, baseData, metaIndex, icons, onClose }) {
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const isAug = entity.kind === "aug";
+  const meta = findMeta(entity.name, isAug ? metaIndex.augs : metaIndex.items, isAug ? AUG_ALIASES : ITEM_ALIASES);
+
+  const figures = useMemo(() => {
+    const target = normKey(entity.name);
+    const out = [];
+    for (const t of DATASET_KEYS) {
+      const { nameKey, rates, label } = DATASETS[t];
+      if (!nameKey) continue;
+      const [wrKey, nKey] = rates[0];
+      const champRows = data[t].filter((r) => r.champion_name === champion);
+      const avg = pooledRate(champRows, wrKey, nKey);
+      const rows = withBaseline(t, champRows, baseData[t].filter((r) => r.champion_name === champion), baseData[t].length > 0);
+      for (const r of rows) {
+        if (normKey(r[nameKey]) !== target) continue;
+        const tier = t === "aug" ? String(r.tier_norm || "").toLowerCase() : "";
+        out.push({ id: `${t}-${tier}`, label: tier ? `${label} (${tier})` : label, row: r, wr: toNum(r[wrKey]), n: toNum(r[nKey]), avg });
+      }
+    }
+    return out;
+  }, [entity.name, champion, data, baseData]);
+
+  const url = isAug ? getAugIcon(entity.name, icons.augs) : getItemIcon(entity.name, icons.items);
+  const item = !isAug && meta ? splitItemDescription(meta.description, meta.dataValues) : null;
+  const augText = isAug && meta ? fillDescription(meta.description || meta.tooltip, meta.dataValues) : "";
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end" onClick={onClose}>
+      <div className="absolute inset-0 bg-black/20" />
+      <aside
+        className="relative h-full w-full max-w-md overflow-auto bg-white p-4 shadow-xl space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div className="flex items-center gap-3 min-w-0">
+            {isAug ? <AugIcon tier={entity.tier || meta?.rarity} src={url} name={entity.name} /> : <CDImg src={url} name={entity.name} />}
+            <div className="min-w-0">
+              <div className="text-lg font-semibold truncate">{entity.name}</div>
+              <div className="text-xs text-gray-500">{isAug ? `${meta?.rarity || entity.tier || ""} augment` : "Item"} · {champion}</div>
+            </div>
+          </div>
+          <button className="text-gray-500 hover:text-gray-900 text-xl leading-none" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {!meta && <div className="text-sm text-gray-500">No CommunityDragon metadata found for this name.</div>}
+
+        {isAug && augText && <p className="text-sm whitespace-pre-line">{augText}</p>}
+
+        {item && (
+          <div className="space-y-2">
+            {(meta.priceTotal || meta.price) ? (
+              <div className="text-sm"><span className="text-gray-500">Cost</span> <span className="font-semibold tabular-nums">{fmtInt(meta.priceTotal || meta.price)}g</span></div>
+            ) : null}
+            {item.stats.length > 0 && (
+              <ul className="text-sm space-y-0.5">
+                {item.stats.map((s, i) => <li key={i} className="tabular-nums">{s}</li>)}
+              </ul>
+            )}
+            {item.text && <p className="text-sm text-gray-700 whitespace-pre-line">{item.text}</p>}
+          </div>
+        )}
+
+        <div>
+          <h3 className="font-semibold mb-2">Loaded figures for {champion}</h3>
+          {figures.length ? (
+            <div className="space-y-2">
+              {figures.map((f) => (
+                <div key={f.id} className="flex items-center justify-between rounded-xl border p-2 gap-3 text-sm">
+                  <span className="text-gray-700">{f.label}</span>
+                  <div className="flex items-center gap-3">
+                    <div className="flex flex-col items-end">
+                      <span className="font-semibold tabular-nums">{fmtPct(f.wr)}</span>
+                      <CI p={f.wr} n={f.n} />
+                    </div>
+                    <Badge>N {fmtInt(f.n)}</Badge>
+                    <span className="text-xs text-gray-500 tabular-nums" title="Difference from the champion's average in this dataset">
+                      {fmtDelta(f.wr - f.avg)} vs avg
+                    </span>
+                    <Change row={f.row} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500">No rows for this {isAug ? "augment" : "item"} on {champion}.</div>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
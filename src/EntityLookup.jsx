@@ -0,0 +1,162 @@
+import React, { useMemo, useState } from "react";
+import { pooledRate, toNum } from "./stats";
+import { fmtDelta, fmtInt, fmtPct, normKey } from "./format";
+import { getAugIcon, getItemIcon } from "./cdragon";
+import { AugIcon, Badge, CDImg, CI } from "./ui";
+import { rankNames, resolveName } from "./fuzzyNames";
+
+// Where an entity can appear, with the column names each dataset uses.
+const SOURCES = [
+  { key: "pris", label: "Prismatic item", nameKey: "item_name", wrKey: "win_rate_present", nKey: "n_present" },
+  { key: "leg", label: "Legendary item", nameKey: "item_name", wrKey: "win_rate_present", nKey: "n_present" },
+  { key: "aug", label: "Augment", nameKey: "augment_name", wrKey: "win_rate", nKey: "n" },
+];
+
+// Every distinct item/augment name across the loaded datasets.
+function entityNames(data) {
+  const s = new Set();
+  for (const src of SOURCES) {
+    data[src.key].forEach((r) => r && r[src.nameKey] && s.add(String(r[src.nameKey])));
+  }
+  return Array.from(s).sort();
+}
+
+// dataset -> champion -> pooled WR over all of that champion's rows
+function championBaselines(data) {
+  const out = {};
+  for (const src of SOURCES) {
+    const byChamp = new Map();
+    for (const r of data[src.key]) {
+      if (!r || !r.champion_name) continue;
+      if (!byChamp.has(r.champion_name)) byChamp.set(r.champion_name, []);
+      byChamp.get(r.champion_name).push(r);
+    }
+    out[src.key] = new Map(Array.from(byChamp, ([c, rows]) => [c, pooledRate(rows, src.wrKey, src.nKey)]));
+  }
+  return out;
+}
+
+const COLUMNS = [
+  { key: "champion", label: "Champion", align: "left" },
+  { key: "source", label: "Source", align: "left" },
+  { key: "wr", label: "WR", align: "right" },
+  { key: "n", label: "N", align: "right" },
+  { key: "delta", label: "Δ vs champ avg", align: "right" },
+];
+
+// An ambiguous query lists its candidates (same matching as the champion search) to
+// pick from instead of guessing.
+export default function EntityLookup({ data, icons, query, minN, onPickEntity, onPickChampion }) {
+  const names = useMemo(() => entityNames(data), [data]);
+  const baselines = useMemo(() => championBaselines(data), [data]);
+  const entity = useMemo(() => resolveName(query, names), [query, names]);
+  const [sort, setSort] = useState({ key: "wr", dir: -1 });
+
+  const rows = useMemo(() => {
+    if (!entity) return [];
+    const target = normKey(entity);
+    const out = [];
+    for (const src of SOURCES) {
+      const matches = data[src.key].filter((r) => r && normKey(r[src.nameKey]) === target);
+      for (const r of matches) {
+        if (toNum(r[src.nKey]) < minN) continue;
+        const baseline = baselines[src.key].get(r.champion_name);
+        const wr = toNum(r[src.wrKey]);
+        const tier = src.key === "aug" ? (r.tier_norm || "").toString().toLowerCase() : "";
+        out.push({
+          id: `${src.key}-${r.champion_name}-${tier}`,
+          champion: r.champion_name,
+          source: tier ? `${src.label} (${tier})` : src.label,
+          tier,
+          isAug: src.key === "aug",
+          wr,
+          n: toNum(r[src.nKey]),
+          baseline,
+          delta: wr - baseline,
+        });
+      }
+    }
+    return out;
+  }, [data, baselines, entity, minN]);
+
+  const sorted = useMemo(() => {
+    const val = (r) => r[sort.key];
+    return [...rows].sort((a, b) => {
+      const va = val(a), vb = val(b);
+      if (typeof va === "string" || typeof vb === "string") return sort.dir * String(va).localeCompare(String(vb));
+      return sort.dir * ((isFinite(va) ? va : -Infinity) - (isFinite(vb) ? vb : -Infinity));
+    });
+  }, [rows, sort]);
+
+  const toggleSort = (key) =>
+    setSort((s) => (s.key === key ? { key, dir: -s.dir } : { key, dir: key === "champion" || key === "source" ? 1 : -1 }));
+
+  if (!query.trim()) return <div className="text-sm text-gray-500">Type an item or augment name to compare it across champions.</div>;
+  if (!entity) {
+    const candidates = rankNames(query, names);
+    if (!candidates.length) return <div className="text-sm text-gray-500">No item or augment matches “{query}”.</div>;
+    return (
+      <div className="space-y-1 text-sm">
+        <div className="text-gray-500">Several items and augments match “{query}”:</div>
+        <div className="flex flex-wrap gap-2">
+          {candidates.map((c) => (
+            <button key={c} className="rounded-md border border-gray-300 px-2 py-0.5 hover:bg-gray-50" onClick={() => onPickEntity(c)}>{c}</button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const isAugOnly = rows.length > 0 && rows.every((r) => r.isAug);
+  const url = isAugOnly ? getAugIcon(entity, icons.augs) : getItemIcon(entity, icons.items);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3">
+        {isAugOnly ? <AugIcon tier={rows[0].tier} src={url} name={entity} /> : <CDImg src={url} name={entity} />}
+        <div className="font-medium">{entity}</div>
+        <Badge>{rows.length} champion rows</Badge>
+      </div>
+      {rows.length ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                {COLUMNS.map((c) => (
+                  <th
+                    key={c.key}
+                    className={`py-1 px-2 font-medium text-gray-600 cursor-pointer select-none ${c.align === "right" ? "text-right" : "text-left"}`}
+                    onClick={() => toggleSort(c.key)}
+                  >
+                    {c.label}{sort.key === c.key ? (sort.dir < 0 ? " ↓" : " ↑") : ""}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((r) => (
+                <tr key={r.id} className="border-b last:border-0 hover:bg-gray-50">
+                  <td className="py-1 px-2">
+                    <button className="text-left hover:underline" onClick={() => onPickChampion?.(r.champion)}>{r.champion}</button>
+                  </td>
+                  <td className="py-1 px-2 text-gray-600">{r.source}</td>
+                  <td className="py-1 px-2 text-right tabular-nums">
+                    <div className="font-semibold">{fmtPct(r.wr)}</div>
+                    <CI p={r.wr} n={r.n} />
+                  </td>
+                  <td className="py-1 px-2 text-right tabular-nums">{fmtInt(r.n)}</td>
+                  <td className={`py-1 px-2 text-right tabular-nums ${r.delta > 0 ? "text-emerald-700" : r.delta < 0 ? "text-rose-700" : ""}`}>
+                    {fmtDelta(r.delta)}
+                    <div className="text-[10px] text-gray-500">avg {fmtPct(r.baseline)}</div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-sm text-gray-500">No rows for {entity} with N ≥ {minN}.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useState } from "react";
+import { buildExport, download, renderPng, toCsv, toDiscord, toJson, toMarkdown } from "./exportView";
+
+// Export the champion view as shown (min N and sort applied).
+// `view` is what buildExport takes; `iconFor(sectionKey, name)` resolves icons for the PNG.
+export default function ExportMenu({ view, iconFor }) {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState("");
+
+  const base = `arena-${String(view.champion).replace(/[^a-z0-9]+/gi, "_").toLowerCase()}`;
+
+  async function run(kind) {
+    setOpen(false);
+    const data = buildExport(view);
+    try {
+      if (kind === "csv") download(`${base}.csv`, toCsv(data), "text/csv");
+      else if (kind === "json") download(`${base}.json`, toJson(data), "application/json");
+      else if (kind === "md") download(`${base}.md`, toMarkdown(data), "text/markdown");
+      else if (kind === "discord") {
+        await navigator.clipboard.writeText(toDiscord(data));
+        setStatus("Copied for Discord");
+      } else if (kind === "png") {
+        setStatus("Rendering…");
+        download(`${base}.png`, await renderPng(data, iconFor));
+        setStatus("");
+      }
+    } catch (e) {
+      console.warn(`Export (${kind}) failed`, e);
+      setStatus(`Export failed: ${e.message}`);
+    }
+    if (kind === "discord") setTimeout(() => setStatus(""), 1500);
+  }
+
+  return (
+    <div className="relative inline-flex items-center gap-2">
+      {status && <span className="text-xs text-gray-500">{status}</span>}
+      <button className="rounded-md border border-gray-300 px-2 py-1 text-sm hover:bg-gray-50" onClick={() => setOpen((o) => !o)}>
+        Export ▾
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-30 w-52 rounded-md border bg-white shadow-lg text-sm py-1">
+          <button className="block w-full text-left px-3 py-1 hover:bg-gray-50" onClick={() => run("csv")}>CSV</button>
+          <button className="block w-full text-left px-3 py-1 hover:bg-gray-50" onClick={() => run("json")}>JSON</button>
+          <button className="block w-full text-left px-3 py-1 hover:bg-gray-50" onClick={() => run("md")}>Markdown tier table</button>
+          <button className="block w-full text-left px-3 py-1 hover:bg-gray-50" onClick={() => run("discord")}>Copy for Discord</button>
+          <button className="block w-full text-left px-3 py-1 hover:bg-gray-50" onClick={() => run("png")}>PNG summary card</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useMemo, useState } from "react";
+import { AUG_ALIASES, ITEM_ALIASES, matchReport } from "./nameResolver";
+
+// Every CSV item/augment name with the metadata entry it resolved to, so wrong icons
+// can be fixed by adding an entry to src/nameAliases.json.
+export default function NameMatchReport({ data, icons, metaIndex }) {
+  const [open, setOpen] = useState(false);
+  const [issuesOnly, setIssuesOnly] = useState(true);
+  const [copied, setCopied] = useState(false);
+
+  const rows = useMemo(() => {
+    const itemNames = [...data.pris, ...data.leg].map((r) => r?.item_name);
+    const augNames = data.aug.map((r) => r?.augment_name);
+    const label = (index, key) => index.get(key)?.name || key;
+    return [
+      ...matchReport(itemNames, icons.items, ITEM_ALIASES).map((r) => ({ ...r, kind: "item", entry: label(metaIndex.items, r.key) })),
+      ...matchReport(augNames, icons.augs, AUG_ALIASES).map((r) => ({ ...r, kind: "augment", entry: label(metaIndex.augs, r.key) })),
+    ];
+  }, [data, icons, metaIndex]);
+
+  const issues = rows.filter((r) => r.conflicts.length || r.method === "fuzzy");
+  const shown = issuesOnly ? issues : rows;
+
+  // Skeleton for nameAliases.json with every flagged name, to fill in by hand.
+  async function copyTemplate() {
+    const out = { items: { ...ITEM_ALIASES }, augments: { ...AUG_ALIASES } };
+    for (const r of issues) {
+      const group = r.kind === "item" ? out.items : out.augments;
+      if (!(r.name in group)) group[r.name] = r.key ? r.entry : "";
+    }
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(out, null, 2) + "\n");
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (e) {
+      console.warn("Clipboard write failed", e);
+    }
+  }
+
+  if (!rows.length) return null;
+
+  return (
+    <div className="mt-3">
+      <button className="text-sm text-gray-600 hover:underline" onClick={() => setOpen((o) => !o)}>
+        {open ? "▾" : "▸"} Name match report ({rows.length} names, {issues.length} to review)
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          <div className="flex items-center gap-3 text-sm">
+            <label className="inline-flex items-center gap-1 text-gray-600">
+              <input type="checkbox" checked={issuesOnly} onChange={(e) => setIssuesOnly(e.target.checked)} />
+              Only names to review
+            </label>
+            {issues.length > 0 && (
+              <button className="text-gray-600 hover:underline" onClick={copyTemplate}>
+                {copied ? "Copied!" : "Copy nameAliases.json template"}
+              </button>
+            )}
+          </div>
+          <div className="overflow-x-auto max-h-[420px] overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-1 px-2 font-medium">CSV name</th>
+                  <th className="py-1 px-2 font-medium">Kind</th>
+                  <th className="py-1 px-2 font-medium">Resolved to</th>
+                  <th className="py-1 px-2 font-medium">Match</th>
+                  <th className="py-1 px-2 font-medium text-right">Confidence</th>
+                  <th className="py-1 px-2 font-medium">Conflicts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((r) => (
+                  <tr key={`${r.kind}-${r.name}`} className="border-b last:border-0">
+                    <td className="py-1 px-2">{r.name}</td>
+                    <td className="py-1 px-2 text-gray-600">{r.kind}</td>
+                    <td className="py-1 px-2">{r.key ? r.entry : <span className="text-gray-400">—</span>}</td>
+                    <td className="py-1 px-2 text-gray-600">{r.method}</td>
+                    <td className="py-1 px-2 text-right tabular-nums">{(r.confidence * 100).toFixed(0)}%</td>
+                    <td className="py-1 px-2 text-xs">
+                      {r.conflicts.includes("unresolved") && <div className="text-rose-700">no match{r.alternatives.length ? ` (closest: ${r.alternatives.map((a) => a.key).join(", ")})` : ""}</div>}
+                      {r.conflicts.includes("ambiguous") && <div className="text-amber-700">also close: {r.alternatives.map((a) => a.key).join(", ")}</div>}
+                      {r.conflicts.includes("shared") && <div className="text-amber-700">same entry as {r.sharedWith.join(", ")}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!shown.length && <div className="text-sm text-gray-500 p-2">Every name matched exactly.</div>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { typeLabel } from "./csvSchema";
+import { SNAPSHOTS } from "./snapshots";
+
+// Files persisted in IndexedDB, with rename and delete.
+export default function SavedDatasets({ files, onRename, onDelete }) {
+  const [open, setOpen] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, name }
+
+  const commit = () => {
+    if (editing && editing.name.trim()) onRename(editing.id, editing.name.trim());
+    setEditing(null);
+  };
+
+  return (
+    <div className="mt-3">
+      <button className="text-sm text-gray-600 hover:underline" onClick={() => setOpen((o) => !o)}>
+        {open ? "▾" : "▸"} Saved datasets ({files.length})
+      </button>
+      {open && (
+        <div className="mt-2 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-left text-gray-600">
+                <th className="py-1 px-2 font-medium">File</th>
+                <th className="py-1 px-2 font-medium">Snapshot</th>
+                <th className="py-1 px-2 font-medium">Dataset</th>
+                <th className="py-1 px-2 font-medium text-right">Rows</th>
+                <th className="py-1 px-2 font-medium">Loaded</th>
+                <th className="py-1 px-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {files.map((f) => {
+                const type = f.override || f.detected?.type;
+                return (
+                  <tr key={f.id} className="border-b last:border-0">
+                    <td className="py-1 px-2">
+                      {editing?.id === f.id ? (
+                        <input
+                          autoFocus
+                          className="w-full rounded-md border border-gray-300 px-2 py-0.5"
+                          value={editing.name}
+                          onChange={(e) => setEditing({ id: f.id, name: e.target.value })}
+                          onBlur={commit}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") commit();
+                            if (e.key === "Escape") setEditing(null);
+                          }}
+                        />
+                      ) : (
+                        <span className="truncate">{f.name}</span>
+                      )}
+                    </td>
+                    <td className="py-1 px-2 text-gray-600">{SNAPSHOTS[f.snapshot] || f.snapshot}</td>
+                    <td className="py-1 px-2 text-gray-600">{type ? typeLabel(type) : "—"}</td>
+                    <td className="py-1 px-2 text-right tabular-nums">{f.raw ? f.raw.participants : f.rows.length}</td>
+                    <td className="py-1 px-2 text-gray-600">{f.loadedAt ? new Date(f.loadedAt).toLocaleString() : "—"}</td>
+                    <td className="py-1 px-2 text-right whitespace-nowrap">
+                      <button className="text-gray-600 hover:underline mr-3" onClick={() => setEditing({ id: f.id, name: f.name })}>Rename</button>
+                      <button className="text-rose-700 hover:underline" onClick={() => onDelete(f.id)}>Delete</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useMemo, useState } from "react";
+import { PAIR_FILTERS, PAIR_KINDS, PAIR_SORTS, buildSynergy, partnersOf, sortPairs } from "./synergy";
+import { PRIOR_GAMES } from "./stats";
+import { fmtCI, fmtDelta, fmtInt, fmtPct, normKey } from "./format";
+import { getAugIcon, getItemIcon } from "./cdragon";
+import { AugIcon, CDImg, Row, Stat } from "./ui";
+import VirtualList from "./VirtualList";
+
+function PartIcon({ part, icons }) {
+  return part.kind === "augment"
+    ? <AugIcon tier={part.tier || "silver"} src={getAugIcon(part.name, icons.augs)} name={part.name} />
+    : <CDImg src={getItemIcon(part.name, icons.items)} name={part.name} />;
+}
+
+// A pair half; clicking it lists that augment's / item's best partners.
+const PartName = ({ part, onFocus }) => (
+  <button className="hover:underline truncate" title={`Best partners for ${part.name}`} onClick={() => onFocus(part)}>{part.name}</button>
+);
+
+const liftTone = (d) => (d > 0 ? "text-emerald-700" : d < 0 ? "text-rose-700" : "");
+
+// Ranked augment / prismatic pairs for one champion, by lift over what the two would
+// win if their effects just added up (see synergy.js).
+export default function SynergyExplorer({ pairRows, augRows, prisRows, avg, minN, icons }) {
+  const [filter, setFilter] = useState("all");
+  const [sortKey, setSortKey] = useState("adjLift");
+  const [focus, setFocus] = useState(null); // { name, kind } whose partners are listed
+
+  const pairs = useMemo(() => buildSynergy(pairRows, { augRows, prisRows, avg }), [pairRows, augRows, prisRows, avg]);
+
+  const rows = useMemo(() => {
+    let out = pairs.filter((p) => p.n >= minN);
+    if (focus) out = partnersOf(out, focus.kind, focus.name);
+    else if (filter !== "all") out = out.filter((p) => p.type === filter);
+    return sortPairs(out, sortKey);
+  }, [pairs, minN, focus, filter, sortKey]);
+
+  const isFocus = (part) => focus && part.kind === focus.kind && normKey(part.name) === normKey(focus.name);
+  const unscored = rows.filter((p) => !isFinite(p.expected)).length;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        {focus ? (
+          <>
+            <button className="hover:underline" onClick={() => setFocus(null)}>← All pairs</button>
+            <span>Best partners for <span className="font-medium text-gray-900">{focus.name}</span> ({PAIR_KINDS[focus.kind].toLowerCase()})</span>
+          </>
+        ) : (
+          <select className="rounded-md border border-gray-300 px-2 py-1 text-sm" value={filter} onChange={(e) => setFilter(e.target.value)}>
+            {Object.entries(PAIR_FILTERS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        )}
+        <label className="ml-auto">Sort</label>
+        <select className="rounded-md border border-gray-300 px-2 py-1 text-sm" value={sortKey} onChange={(e) => setSortKey(e.target.value)}>
+          {Object.entries(PAIR_SORTS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      </div>
+      {rows.length ? (
+        <VirtualList
+          items={rows}
+          itemKey={(p) => p.key}
+          renderItem={(p) => {
+            const shown = focus ? [p.partner] : [p.a, p.b];
+            return (
+              <Row
+                icon={<div className="flex gap-1">{shown.map((part) => <PartIcon key={part.kind + part.name} part={part} icons={icons} />)}</div>}
+                title={
+                  <span className="flex items-center gap-1 min-w-0">
+                    {shown.map((part, i) => (
+                      <React.Fragment key={part.kind + part.name}>
+                        {i > 0 && <span className="text-gray-400">+</span>}
+                        {isFocus(part) ? <span className="truncate">{part.name}</span> : <PartName part={part} onFocus={setFocus} />}
+                      </React.Fragment>
+                    ))}
+                  </span>
+                }
+                subtitle={
+                  isFinite(p.expected)
+                    ? `Expected ${fmtPct(p.expected)} from ${fmtPct(p.a.wr)} and ${fmtPct(p.b.wr)} alone (champion ${fmtPct(avg)})`
+                    : "No single-pick rows for one half, so no expected WR"
+                }
+                right={
+                  <>
+                    <Stat label="Joint WR" value={fmtPct(p.wr)} sub={fmtCI(p.wr, p.n)} />
+                    <Stat label="Lift" value={<span className={liftTone(p.lift)}>{fmtDelta(p.lift)}</span>} sub={isFinite(p.adjLift) ? `adj ${fmtDelta(p.adjLift)}` : ""} />
+                    <Stat label="N" value={fmtInt(p.n)} />
+                  </>
+                }
+              />
+            );
+          }}
+        />
+      ) : (
+        <div className="text-sm text-gray-500">No pairs with N ≥ {minN}.</div>
+      )}
+      <p className="text-xs text-gray-500">
+        Expected WR adds each half's log-odds edge over the champion's average; lift is the joint WR minus that. The adjusted lift first pulls the joint WR toward the expectation as if by {PRIOR_GAMES} extra games, so small pairs don't top the list by chance.
+        {unscored > 0 && ` ${fmtInt(unscored)} pairs have no expected WR (one half is missing from the augment / prismatic tables).`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { BANDS, BAND_COLORS, DEFAULT_THRESHOLDS, buildBands, overrideKey } from "./tierBands";
+import { PRIOR_GAMES } from "./stats";
+import { fmtDelta, fmtInt, fmtPct } from "./format";
+import { getAugIcon, getItemIcon } from "./cdragon";
+import * as storage from "./storage";
+import { AugIcon, CDImg } from "./ui";
+
+// S–D bands per group for one champion. Tiles can be dragged between bands of the same
+// group; those manual placements are saved in this browser.
+// `groups` is [{ key, label, rows, nameKey, wrKey, nKey, avg, tier? }] — `tier` marks
+// augment groups.
+export default function TierList({ champion, groups, icons, onSelect }) {
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [priorGames, setPriorGames] = useState(PRIOR_GAMES);
+  const [overrides, setOverrides] = useState({});
+  const [loaded, setLoaded] = useState(false);
+  const [dragging, setDragging] = useState(null); // { group, name }
+
+  useEffect(() => {
+    let alive = true;
+    storage.loadTierOverrides()
+      .then((o) => { if (alive && o) setOverrides(o); })
+      .catch((e) => console.warn("Failed to restore tier overrides", e))
+      .finally(() => { if (alive) setLoaded(true); });
+    return () => { alive = false; };
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) return;
+    storage.saveTierOverrides(overrides).catch((e) => console.warn("IndexedDB write failed", e));
+  }, [loaded, overrides]);
+
+  const banded = useMemo(
+    () => groups.map((g) => ({
+      ...g,
+      entries: buildBands(g.rows, { ...g, thresholds, priorGames, overrides: overrides[overrideKey(champion, g.key)] }),
+    })),
+    [groups, thresholds, priorGames, overrides, champion]
+  );
+
+  function place(group, name, band) {
+    setOverrides((prev) => {
+      const k = overrideKey(champion, group);
+      const next = { ...(prev[k] || {}) };
+      if (band) next[name] = band;
+      else delete next[name];
+      return { ...prev, [k]: next };
+    });
+  }
+
+  function onDrop(e, group, band) {
+    e.preventDefault();
+    if (!dragging || dragging.group !== group) return;
+    const entry = banded.find((g) => g.key === group)?.entries.find((x) => x.name === dragging.name);
+    // Dropping back onto the computed band clears the override.
+    place(group, dragging.name, entry && entry.auto === band ? null : band);
+    setDragging(null);
+  }
+
+  const hasOverrides = groups.some((g) => Object.keys(overrides[overrideKey(champion, g.key)] || {}).length);
+
+  function resetOverrides() {
+    setOverrides((prev) => {
+      const next = { ...prev };
+      for (const g of groups) delete next[overrideKey(champion, g.key)];
+      return next;
+    });
+  }
+
+  const setThreshold = (band, pct) => setThresholds((t) => ({ ...t, [band]: Number(pct) / 100 }));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <span>Min Δ vs champ avg (pp):</span>
+        {["S", "A", "B", "C"].map((b) => (
+          <label key={b} className="inline-flex items-center gap-1">
+            {b}
+            <input
+              type="number"
+              step="0.5"
+              className="w-16 rounded-md border border-gray-300 px-1 py-0.5"
+              value={Number((thresholds[b] * 100).toFixed(2))}
+              onChange={(e) => setThreshold(b, e.target.value)}
+            />
+          </label>
+        ))}
+        <label className="inline-flex items-center gap-1 ml-2" title="Pseudo-games at the champion's average mixed into each row; higher pulls small samples toward B">
+          Sample weighting
+          <input
+            type="number"
+            min={0}
+            className="w-16 rounded-md border border-gray-300 px-1 py-0.5"
+            value={priorGames}
+            onChange={(e) => setPriorGames(Math.max(0, Number(e.target.value) || 0))}
+          />
+          games
+        </label>
+        <button className="hover:underline" onClick={() => setThresholds(DEFAULT_THRESHOLDS)}>Default thresholds</button>
+        {hasOverrides && <button className="hover:underline text-rose-700" onClick={resetOverrides}>Clear manual placements</button>}
+      </div>
+
+      {banded.map((g) => (
+        <div key={g.key}>
+          <div className="mb-1 font-semibold">{g.label}</div>
+          {g.entries.length ? (
+            <div className="rounded-xl border overflow-hidden">
+              {BANDS.map((band) => (
+                <div
+                  key={band}
+                  className="flex border-b last:border-0 min-h-[3.25rem]"
+                  onDragOver={(e) => { if (dragging?.group === g.key) e.preventDefault(); }}
+                  onDrop={(e) => onDrop(e, g.key, band)}
+                >
+                  <div className={`w-10 shrink-0 flex items-center justify-center font-bold ${BAND_COLORS[band]}`}>{band}</div>
+                  <div className="flex flex-wrap gap-2 p-2">
+                    {g.entries.filter((x) => x.band === band).map((x) => {
+                      const url = g.tier ? getAugIcon(x.name, icons.augs) : getItemIcon(x.name, icons.items);
+                      const moved = x.band !== x.auto;
+                      return (
+                        <div
+                          key={x.name}
+                          draggable
+                          onDragStart={(e) => { e.dataTransfer.setData("text/plain", x.name); setDragging({ group: g.key, name: x.name }); }}
+                          onDragEnd={() => setDragging(null)}
+                          onClick={() => onSelect?.(g, x.name)}
+                          className="relative w-16 flex flex-col items-center gap-0.5 cursor-grab"
+                          title={`${x.name} — ${fmtPct(x.wr)}, N ${fmtInt(x.n)}, ${fmtDelta(x.score)} vs avg${moved ? ` (auto: ${x.auto})` : ""}`}
+                        >
+                          {g.tier ? <AugIcon tier={g.tier} src={url} name={x.name} /> : <CDImg src={url} name={x.name} />}
+                          <span className="w-full truncate text-center text-[10px] text-gray-600">{x.name}</span>
+                          {moved && <span className="absolute top-0 right-2 w-2 h-2 rounded-full bg-blue-500" />}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500">No rows.</div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
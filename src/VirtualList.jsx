@@ -0,0 +1,55 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+
+// Windowed list for long row lists: only the rows in (or near) the scroll viewport are
+// mounted, so their icons aren't resolved or requested until they scroll into view.
+// Rows are assumed to be roughly the same height; it's measured from the first mounted
+// row. Short lists (≤ `threshold`) render plainly. Setting `focusIndex` scrolls that
+// row into view; bumping `focusKey` scrolls to it again.
+export default function VirtualList({ items, itemKey, renderItem, maxHeight = 640, gap = 8, overscan = 8, threshold = 60, estimate = 64, focusIndex = -1, focusKey = 0 }) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [rowHeight, setRowHeight] = useState(estimate);
+  const probe = useRef(null);
+  const box = useRef(null);
+  const virtual = items.length > threshold;
+
+  useEffect(() => {
+    if (focusIndex < 0 || !box.current) return;
+    if (virtual) {
+      box.current.scrollTop = Math.max(0, focusIndex * rowHeight - (maxHeight - rowHeight) / 2);
+      box.current.scrollIntoView({ block: "nearest", behavior: "smooth" });
+    } else {
+      box.current.children[focusIndex]?.scrollIntoView({ block: "center", behavior: "smooth" });
+    }
+  }, [focusIndex, focusKey, virtual, rowHeight, maxHeight]);
+
+  useLayoutEffect(() => {
+    const h = probe.current?.offsetHeight;
+    if (h && h + gap !== rowHeight) setRowHeight(h + gap);
+  }, [items, gap, rowHeight]);
+
+  if (!virtual) {
+    return (
+      <div ref={box} className="space-y-2">
+        {items.map((item, i) => <React.Fragment key={itemKey(item, i)}>{renderItem(item, i)}</React.Fragment>)}
+      </div>
+    );
+  }
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last = Math.min(items.length, Math.ceil((scrollTop + maxHeight) / rowHeight) + overscan);
+
+  return (
+    <div ref={box} className="overflow-auto pr-1" style={{ maxHeight }} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+      <div style={{ position: "relative", height: items.length * rowHeight - gap }}>
+        {items.slice(first, last).map((item, k) => {
+          const i = first + k;
+          return (
+            <div key={itemKey(item, i)} ref={k === 0 ? probe : undefined} style={{ position: "absolute", top: i * rowHeight, left: 0, right: 0 }}>
+              {renderItem(item, i)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
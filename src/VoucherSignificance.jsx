@@ -0,0 +1,89 @@
+import React, { useMemo, useState } from "react";
+import { P_ADJUST } from "./stats";
+import { fmtDelta, fmtInt, fmtP, fmtPct } from "./format";
+import { ALPHA, MIN_SIDE_N, voucherTests } from "./voucherTest";
+
+const VERDICTS = {
+  voucher: { label: "Voucher better", tone: "text-emerald-700" },
+  shop: { label: "Shop better", tone: "text-rose-700" },
+  none: { label: "No clear difference", tone: "text-gray-600" },
+  few: { label: "Too few games", tone: "text-gray-400" },
+};
+
+// Cross-champion voucher vs shop verdicts, corrected for testing every champion at once.
+export default function VoucherSignificance({ vshop, onPickChampion }) {
+  const [method, setMethod] = useState("holm");
+  const [showAll, setShowAll] = useState(false);
+
+  const tests = useMemo(() => voucherTests(vshop, method), [vshop, method]);
+  const counts = useMemo(() => {
+    const c = { voucher: 0, shop: 0, none: 0, few: 0 };
+    for (const t of tests) c[t.verdict]++;
+    return c;
+  }, [tests]);
+
+  const rows = useMemo(
+    () => tests
+      .filter((t) => showAll || t.verdict === "voucher" || t.verdict === "shop")
+      .sort((a, b) => (isFinite(a.pValue) ? a.pValue : 2) - (isFinite(b.pValue) ? b.pValue : 2) || b.diff - a.diff),
+    [tests, showAll]
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <label>Correction</label>
+        <select className="rounded-md border border-gray-300 px-2 py-1 text-sm" value={method} onChange={(e) => setMethod(e.target.value)}>
+          {Object.entries(P_ADJUST).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+          Show all champions
+        </label>
+        <span className="text-xs text-gray-500">
+          {counts.voucher} voucher better · {counts.shop} shop better · {counts.none} no clear difference · {counts.few} with under {MIN_SIDE_N} games a side (not tested)
+        </span>
+      </div>
+      {rows.length ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-gray-600">
+                <th className="py-1 px-2 font-medium text-left">Champion</th>
+                <th className="py-1 px-2 font-medium text-right">Voucher</th>
+                <th className="py-1 px-2 font-medium text-right">Shop</th>
+                <th className="py-1 px-2 font-medium text-right">Difference (95% CI)</th>
+                <th className="py-1 px-2 font-medium text-right" title="Two-sided two-proportion z-test">p</th>
+                <th className="py-1 px-2 font-medium text-right">Adjusted p</th>
+                <th className="py-1 px-2 font-medium text-left">Verdict</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((t) => (
+                <tr key={t.champion} className="border-b last:border-0 hover:bg-gray-50">
+                  <td className="py-1 px-2">
+                    <button className="text-left hover:underline" onClick={() => onPickChampion?.(t.champion)}>{t.champion}</button>
+                  </td>
+                  <td className="py-1 px-2 text-right tabular-nums">
+                    {fmtPct(t.wrVoucher)} <span className="text-[10px] text-gray-500">N {fmtInt(t.nVoucher)}</span>
+                  </td>
+                  <td className="py-1 px-2 text-right tabular-nums">
+                    {fmtPct(t.wrShop)} <span className="text-[10px] text-gray-500">N {fmtInt(t.nShop)}</span>
+                  </td>
+                  <td className="py-1 px-2 text-right tabular-nums">
+                    {fmtDelta(t.diff)} <span className="text-[10px] text-gray-500">({fmtDelta(t.lo)} to {fmtDelta(t.hi)})</span>
+                  </td>
+                  <td className="py-1 px-2 text-right tabular-nums">{fmtP(t.p)}</td>
+                  <td className="py-1 px-2 text-right tabular-nums">{fmtP(t.pValue)}</td>
+                  <td className={`py-1 px-2 ${VERDICTS[t.verdict].tone}`}>{VERDICTS[t.verdict].label}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-sm text-gray-500">No champion shows a significant voucher vs shop difference at α = {ALPHA} after correction.</div>
+      )}
+    </div>
+  );
+}
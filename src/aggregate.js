@@ -0,0 +1,73 @@
+import { DATASET_KEYS, emptyData, mergeRows } from "./csvSchema";
+import { RAW_TYPE } from "./rawMatches";
+import { pooledRate } from "./stats";
+
+// ---- Loaded files -> merged datasets, indexed by champion ----
+// Runs in the CSV worker (see csvWorker.js); kept free of DOM/React so it can.
+
+// The dataset a loaded file counts as: a manual override, else the detected type.
+export const fileType = (f) => f.override || f.detected?.type || "";
+
+// Pool each dataset's files within one snapshot (wins and N summed per key) rather than last-wins.
+// `files` are { snapshot, type, rows, tables? }; raw match files contribute their
+// computed `tables` to every dataset.
+export function mergeSnapshot(files, snapshot) {
+  const next = emptyData();
+  for (const t of DATASET_KEYS) {
+    const sets = files
+      .filter((f) => f.snapshot === snapshot)
+      .map((f) => (f.type === t ? f.rows : f.type === RAW_TYPE ? f.tables?.[t] : null))
+      .filter((rows) => rows && rows.length);
+    if (sets.length) next[t] = mergeRows(t, sets);
+  }
+  return next;
+}
+
+// dataset -> Map(champion -> rows)
+export function indexByChampion(data) {
+  const out = {};
+  for (const t of DATASET_KEYS) {
+    const m = new Map();
+    for (const r of data[t]) {
+      if (!r || !r.champion_name) continue;
+      let rows = m.get(r.champion_name);
+      if (!rows) m.set(r.champion_name, (rows = []));
+      rows.push(r);
+    }
+    out[t] = m;
+  }
+  return out;
+}
+
+// Champion averages per dataset over all of the champion's rows (before any min-N
+// cutoff); the shrunk sort and tier bands pull toward these.
+const AVG_COLUMNS = { pris: ["win_rate_present", "n_present"], leg: ["win_rate_present", "n_present"], aug: ["win_rate", "n"] };
+
+function championAverages(index) {
+  const out = {};
+  for (const [t, [wrKey, nKey]] of Object.entries(AVG_COLUMNS)) {
+    out[t] = new Map(Array.from(index[t], ([c, rows]) => [c, pooledRate(rows, wrKey, nKey)]));
+  }
+  return out;
+}
+
+// Everything the views read, built once per change to the loaded files.
+export function aggregate(files) {
+  const data = mergeSnapshot(files, "current");
+  const baseData = mergeSnapshot(files, "baseline");
+  const index = indexByChampion(data);
+  const champions = new Set();
+  for (const t of DATASET_KEYS) for (const c of index[t].keys()) champions.add(c);
+  return {
+    data,
+    baseData,
+    index,
+    baseIndex: indexByChampion(baseData),
+    averages: championAverages(index),
+    champions: Array.from(champions).sort(),
+  };
+}
+
+export function emptyAggregate() {
+  return aggregate([]);
+}
@@ -0,0 +1,57 @@
+import { shrink, toNum } from "./stats";
+import { fmtDelta, fmtInt, normKey } from "./format";
+
+// ---- Recommended build ----
+// Picks the best rows per slot by the same sample-size-aware score as the tier list:
+// win rate shrunk toward the champion's average, minus that average. Locked picks
+// always fill their slots first; excluded ones are never picked or offered.
+
+export const PLAN_SLOTS = [
+  { group: "pris", label: "Prismatic item", count: 1, nameKey: "item_name", wrKey: "win_rate_present", nKey: "n_present" },
+  { group: "leg", label: "Legendary items", count: 3, nameKey: "item_name", wrKey: "win_rate_present", nKey: "n_present" },
+  ...["silver", "gold", "prismatic"].map((t) => ({
+    group: `aug-${t}`, label: `${t[0].toUpperCase()}${t.slice(1)} augment`, tier: t, count: 1, nameKey: "augment_name", wrKey: "win_rate", nKey: "n",
+  })),
+];
+
+export const ALTERNATES = 2;
+
+// Identity of a pick for locks and exclusions.
+export const pickKey = (group, name) => `${group}\u0000${normKey(name)}`;
+
+function candidates(rows, slot, avg) {
+  return rows
+    .filter((r) => r && r.snapshot_status !== "removed" && r[slot.nameKey])
+    .map((r) => {
+      const wr = toNum(r[slot.wrKey]);
+      const n = toNum(r[slot.nKey]);
+      const score = isFinite(avg) ? shrink(wr, n, avg) - avg : NaN;
+      return { key: pickKey(slot.group, r[slot.nameKey]), name: r[slot.nameKey], tier: slot.tier, wr, n, score, delta: wr - avg };
+    })
+    .sort((a, b) => (isFinite(b.score) ? b.score : -Infinity) - (isFinite(a.score) ? a.score : -Infinity) || b.n - a.n);
+}
+
+// e.g. "+4.2% over champion avg, N=812"
+export function pickReason(c) {
+  return `${fmtDelta(c.delta)} over champion avg, N=${fmtInt(c.n)}`;
+}
+
+// `rows` are the min-N-filtered lists by group ({ pris, leg, "aug-silver", … }),
+// `avgs` the champion averages by group, `locked` / `excluded` Sets of pickKeys.
+// Returns one entry per slot: { ...slot, picks, alternates, missing } where `missing`
+// are locked picks not in the rows (e.g. under the min N).
+export function recommendBuild(rows, avgs, { locked = new Set(), excluded = new Set() } = {}) {
+  return PLAN_SLOTS.map((slot) => {
+    const all = candidates(rows[slot.group] || [], slot, avgs[slot.group]);
+    const open = all.filter((c) => !excluded.has(c.key));
+    const picks = open.filter((c) => locked.has(c.key)).slice(0, slot.count).map((c) => ({ ...c, locked: true }));
+    for (const c of open) {
+      if (picks.length >= slot.count) break;
+      if (!picks.some((p) => p.key === c.key)) picks.push(c);
+    }
+    const alternates = open.filter((c) => !picks.some((p) => p.key === c.key)).slice(0, ALTERNATES);
+    const present = new Set(all.map((c) => c.key));
+    const missing = [...locked].filter((k) => k.startsWith(`${slot.group}\u0000`) && !present.has(k));
+    return { ...slot, picks, alternates, missing };
+  });
+}
@@ -0,0 +1,243 @@
+import { normKey } from "./format";
+import { loadMeta } from "./storage";
+import { PATCH_COLUMNS } from "./csvSchema";
+import { AUG_ALIASES, ITEM_ALIASES, resolverFor } from "./nameResolver";
+
+// ---- CommunityDragon metadata ----
+// VITE_CD_ROOT points everything (metadata, icons, service worker) at a stand-in
+// server, e.g. `VITE_CD_ROOT=http://localhost:8080 npm run dev`.
+export const CD_ROOT = (import.meta.env?.VITE_CD_ROOT || "https://raw.communitydragon.org").replace(/\/+$/, "");
+export const DEFAULT_VERSION = "latest";
+
+// Patch directory on CommunityDragon: "latest", "pbe" or a "major.minor" patch like "14.23".
+export function cdBase(version = DEFAULT_VERSION) {
+  return `${CD_ROOT}/${version || DEFAULT_VERSION}`;
+}
+
+export function metaUrls(version) {
+  const base = cdBase(version);
+  return {
+    items: `${base}/plugins/rcp-be-lol-game-data/global/default/v1/items.json`,
+    arena: `${base}/cdragon/arena/en_us.json`,
+    champions: `${base}/plugins/rcp-be-lol-game-data/global/default/v1/champion-summary.json`,
+  };
+}
+
+export function iconFromPath(path, base = cdBase()) {
+  if (!path) return "";
+  const raw = String(path).replace(/\\/g, "/").split(/[?#]/)[0];
+  if (/^https?:\/\//i.test(raw)) return raw;
+
+  // Helper: take everything AFTER the **last** '/assets/' (case-insensitive)
+  const tailAfterLastAssets = (s) => {
+    const i = s.toLowerCase().lastIndexOf("/assets/");
+    if (i === -1) return null;
+    return s.slice(i + "/assets/".length).replace(/^\/+/, "");
+  };
+
+  // Case: any path that already contains '/assets/...'
+  const t1 = tailAfterLastAssets(raw);
+  if (t1) {
+    // ensure exactly one 'assets/' prefix, lowercase tail for plugins path
+    return `${base}/plugins/rcp-be-lol-game-data/global/default/assets/${t1.toLowerCase()}`;
+  }
+
+  // Case: '/lol-game-data/...'
+  const lgdIdx = raw.toLowerCase().indexOf("/lol-game-data/");
+  if (lgdIdx !== -1) {
+    const rest = raw.slice(lgdIdx + "/lol-game-data/".length).replace(/^\/+/, "");
+    const t2 = tailAfterLastAssets("/" + rest) || rest; // try to find assets/ inside rest
+    const clean = t2.replace(/^assets\//i, "");          // drop any leading 'assets/'
+    return `${base}/plugins/rcp-be-lol-game-data/global/default/assets/${clean.toLowerCase()}`;
+  }
+
+  // Fallback: treat as relative; normalize to one 'assets/' prefix
+  let rel = raw.replace(/^\/+/, "");
+  rel = rel.replace(/^assets\//i, ""); // drop if already starts with assets/
+  return `${base}/plugins/rcp-be-lol-game-data/global/default/assets/${rel.toLowerCase()}`;
+}
+
+// Icon URL for a CSV name; see nameResolver for the matching rules.
+export function getItemIcon(name, itemMap) {
+  if (!name || !itemMap) return "";
+  return resolverFor(itemMap, ITEM_ALIASES).resolve(name).value || "";
+}
+
+export function getAugIcon(name, augMap) {
+  if (!name || !augMap) return "";
+  return resolverFor(augMap, AUG_ALIASES).resolve(name).value || "";
+}
+
+// Champion names have no alias file; a shared empty one keeps the resolver cached.
+const NO_ALIASES = {};
+
+export function getChampionIcon(name, champMap) {
+  if (!name || !champMap) return "";
+  return resolverFor(champMap, NO_ALIASES).resolve(name).value || "";
+}
+
+const META_CACHE = "cdragon-meta-v1";
+
+// Where metadata came from, in lookup order.
+export const META_SOURCES = {
+  local: "imported copy",
+  network: "network",
+  cache: "offline cache",
+  none: "unavailable",
+};
+
+// Load one metadata JSON: a user-imported copy wins (it was imported on purpose), then
+// the network (refreshing the Cache Storage copy), then the cached copy. Never throws;
+// `json` is null when all fail.
+export async function loadMetaJson(kind, url) {
+  const hasCaches = typeof caches !== "undefined";
+  try {
+    const local = await loadMeta(kind);
+    if (local) return { json: local, source: "local" };
+  } catch { /* fall through */ }
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (hasCaches) {
+      const copy = res.clone();
+      caches.open(META_CACHE).then((c) => c.put(url, copy)).catch(() => {});
+    }
+    return { json: await res.json(), source: "network" };
+  } catch (e) {
+    console.warn(`Failed to fetch CDragon ${kind} metadata`, e);
+  }
+  try {
+    const hit = hasCaches ? await caches.match(url, { cacheName: META_CACHE }) : null;
+    if (hit) return { json: await hit.json(), source: "cache" };
+  } catch { /* fall through */ }
+  return { json: null, source: "none" };
+}
+
+// Which metadata file a user-imported JSON is: champion-summary.json is an array of
+// entries with portraits, items.json any other array, the arena export an object with
+// `augments`.
+export function classifyMetaJson(json) {
+  if (Array.isArray(json) && json.some((c) => c && c.squarePortraitPath)) return "champions";
+  if (Array.isArray(json)) return "items";
+  if (json && (json.augments || json.Augments)) return "arena";
+  return "";
+}
+
+// name -> icon URL maps for items (items.json + arena items) and augments, with icon
+// paths resolved under `base` (the same patch directory the JSON came from).
+export function buildIconMaps(itemsJson, arenaJson, base = cdBase()) {
+  const itemMap = new Map();
+  if (Array.isArray(itemsJson)) {
+    for (const it of itemsJson) {
+      const name = it && (it.name || it.nameLocalized);
+      const key = normKey(name);
+      const icon = iconFromPath(it && (it.iconPath || it.icon) || "", base);
+      if (key && icon) itemMap.set(key, icon);
+    }
+  }
+  const arenaItems = (!Array.isArray(arenaJson) && arenaJson && (arenaJson.items || arenaJson.Items))
+    ? (arenaJson.items || arenaJson.Items)
+    : [];
+  for (const it of arenaItems) {
+    const nm = it?.name ?? it?.Name ?? it?.displayName ?? it?.DisplayName ?? it?.apiName ?? it?.ApiName;
+    const key = normKey(nm);
+    const rawIcon = it?.iconSmall ?? it?.IconSmall ?? it?.icon ?? it?.Icon ?? it?.iconLarge ?? it?.IconLarge ?? it?.iconPath ?? it?.IconPath ?? "";
+    const icon = iconFromPath(rawIcon, base);
+    if (key && icon) itemMap.set(key, icon);
+  }
+
+  const augList = Array.isArray(arenaJson) ? arenaJson : (arenaJson?.augments || arenaJson?.Augments || []);
+  const augMap = new Map();
+  for (const a of augList) {
+    const nm = a?.name ?? a?.Name ?? a?.apiName ?? a?.ApiName;
+    const key = normKey(nm);
+    const rawIcon = a?.iconSmall ?? a?.IconSmall ?? a?.icon ?? a?.Icon ?? a?.iconLarge ?? a?.IconLarge ?? a?.iconPath ?? a?.IconPath ?? "";
+    const icon = iconFromPath(rawIcon, base);
+    if (key && icon) augMap.set(key, icon);
+  }
+  return { items: itemMap, augs: augMap };
+}
+
+// name -> square portrait URL from champion-summary.json (the id -1 entry is "None").
+export function buildChampionIcons(championsJson, base = cdBase()) {
+  const map = new Map();
+  if (!Array.isArray(championsJson)) return map;
+  for (const c of championsJson) {
+    if (!c || c.id === -1) continue;
+    const key = normKey(c.name);
+    const icon = iconFromPath(c.squarePortraitPath || "", base);
+    if (key && icon) map.set(key, icon);
+  }
+  return map;
+}
+
+// Patch directories available on CommunityDragon, newest first. Best effort: the JSON
+// directory listing may be unreachable (offline, stand-in server), giving [].
+export async function listVersions() {
+  try {
+    const res = await fetch(`${CD_ROOT}/json/`);
+    if (!res.ok) return [];
+    const entries = await res.json();
+    return entries
+      .map((e) => e?.name)
+      .filter((n) => /^\d+\.\d+$/.test(n || ""))
+      .sort((a, b) => {
+        const [am, an] = a.split(".").map(Number);
+        const [bm, bn] = b.split(".").map(Number);
+        return bm - am || bn - an;
+      });
+  } catch {
+    return [];
+  }
+}
+
+// Most common "major.minor" patch across the rows' patch column, or "" when none.
+export function detectPatch(rowSets) {
+  const counts = new Map();
+  for (const rows of rowSets) {
+    for (const r of rows) {
+      const col = PATCH_COLUMNS.find((c) => r && r[c] != null && r[c] !== "");
+      if (!col) continue;
+      const m = String(r[col]).match(/^(\d+)\.(\d+)/);
+      if (!m) continue;
+      const v = `${Number(m[1])}.${Number(m[2])}`;
+      counts.set(v, (counts.get(v) || 0) + 1);
+    }
+  }
+  let best = "";
+  for (const [v, c] of counts) if (!best || c > counts.get(best)) best = v;
+  return best;
+}
+
+// Icon images are cached by public/sw.js (cache-first), so they survive going offline.
+export function registerIconCache() {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+  const url = `${import.meta.env.BASE_URL}sw.js?root=${encodeURIComponent(CD_ROOT)}`;
+  navigator.serviceWorker.register(url).catch((e) => console.warn("Icon cache service worker failed to register", e));
+}
+
+// Tally of where icon images were served from, as reported by public/sw.js. Calls
+// onChange({ cache, network, none, worker }) at most every 250 ms; `worker` is false
+// while no service worker controls the page (icons then load uncached). Returns an
+// unsubscribe function.
+export function watchIconSources(onChange) {
+  const sw = typeof navigator !== "undefined" ? navigator.serviceWorker : null;
+  const counts = { cache: 0, network: 0, none: 0 };
+  const emit = () => onChange({ ...counts, worker: Boolean(sw?.controller) });
+  emit();
+  if (!sw) return () => {};
+  let timer = 0;
+  const onMessage = (e) => {
+    if (e.data?.type !== "icon-source" || !(e.data.source in counts)) return;
+    counts[e.data.source]++;
+    if (!timer) timer = setTimeout(() => { timer = 0; emit(); }, 250);
+  };
+  sw.addEventListener("message", onMessage);
+  sw.addEventListener("controllerchange", emit);
+  sw.startMessages?.();
+  return () => {
+    clearTimeout(timer);
+    sw.removeEventListener("message", onMessage);
+    sw.removeEventListener("controllerchange", emit);
+  };
+}
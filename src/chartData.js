@@ -0,0 +1,68 @@
+import { toNum } from "./stats";
+
+// ---- Chart data for one champion ----
+
+export const SERIES = {
+  pris: { label: "Prismatic items", color: "#8b5cf6" },
+  leg: { label: "Legendary items", color: "#f97316" },
+  silver: { label: "Silver augments", color: "#64748b" },
+  gold: { label: "Gold augments", color: "#d97706" },
+  prismatic: { label: "Prismatic augments", color: "#ec4899" },
+};
+
+export const AUG_SERIES = ["silver", "gold", "prismatic"];
+
+// The lists' rows as points { series, kind, name, tier, wr, n }; `kind` / `tier` match
+// the detail-drawer entity so a point can pick out its row. Baseline-only rows are left out.
+export function scatterPoints(prisRows, legRows, augByTier) {
+  const out = [];
+  const add = (rows, series, kind, nameKey, wrKey, nKey, tier) => {
+    for (const r of rows) {
+      if (r.snapshot_status === "removed") continue;
+      const wr = toNum(r[wrKey]), n = toNum(r[nKey]);
+      if (isFinite(wr) && n > 0) out.push({ series, kind, name: r[nameKey], tier, wr, n });
+    }
+  };
+  add(prisRows, "pris", "item", "item_name", "win_rate_present", "n_present");
+  add(legRows, "leg", "item", "item_name", "win_rate_present", "n_present");
+  for (const t of AUG_SERIES) add(augByTier[t] || [], t, "aug", "augment_name", "win_rate", "n", t);
+  return out;
+}
+
+// Linear-interpolated quantile of an ascending array.
+export function quantile(sorted, q) {
+  if (!sorted.length) return NaN;
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+// Box-plot figures for a list of win rates.
+export function boxStats(values) {
+  const s = [...values].sort((a, b) => a - b);
+  return { min: s[0], q1: quantile(s, 0.25), median: quantile(s, 0.5), q3: quantile(s, 0.75), max: s[s.length - 1], count: s.length };
+}
+
+// Tick values for a log axis over [min, max]: powers of ten, plus 2× and 5× steps
+// when the range spans less than two decades.
+export function logTicks(min, max) {
+  const ticks = [];
+  const fine = Math.log10(max / min) < 2;
+  for (let p = Math.floor(Math.log10(min)); p <= Math.ceil(Math.log10(max)); p++) {
+    for (const m of fine ? [1, 2, 5] : [1]) {
+      const v = m * 10 ** p;
+      if (v >= min && v <= max) ticks.push(v);
+    }
+  }
+  return ticks;
+}
+
+// Evenly spaced ticks over [lo, hi] at a round step.
+export function linearTicks(lo, hi, count = 5) {
+  const raw = (hi - lo) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= raw) || raw;
+  const out = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + 1e-9; v += step) out.push(Number(v.toFixed(10)));
+  return out;
+}
@@ -0,0 +1,53 @@
+import { toNum } from "./stats";
+import { normKey } from "./format";
+
+// ---- Several champions side by side ----
+// One line per item / augment, with each selected champion's WR and N aligned in
+// columns. `spread` is the gap between the best and worst WR among the champions that
+// have the row at N ≥ minN, so sorting by it puts the largest differences first.
+
+export const COMPARE_GROUPS = [
+  { key: "pris", label: "Prismatic items", dataset: "pris", nameKey: "item_name", wrKey: "win_rate_present", nKey: "n_present" },
+  { key: "leg", label: "Legendary items", dataset: "leg", nameKey: "item_name", wrKey: "win_rate_present", nKey: "n_present" },
+  ...["silver", "gold", "prismatic"].map((t) => ({
+    key: `aug-${t}`, label: `${t[0].toUpperCase()}${t.slice(1)} augments`, dataset: "aug", tier: t, nameKey: "augment_name", wrKey: "win_rate", nKey: "n",
+  })),
+];
+
+// Differences at least this large are highlighted.
+export const BIG_SPREAD = 0.05;
+
+// `index` is aggregate.indexByChampion output. Returns [{ key, name, cells, shared,
+// spread, best, worst }], where cells[i] is { wr, n } for champions[i] (null when the
+// champion has no row at N ≥ minN) and best / worst are column indexes.
+export function buildComparison(index, champions, group, minN) {
+  const lines = new Map();
+  champions.forEach((c, i) => {
+    for (const r of index[group.dataset].get(c) || []) {
+      if (group.tier && String(r.tier_norm || "").toLowerCase() !== group.tier) continue;
+      const wr = toNum(r[group.wrKey]);
+      const n = toNum(r[group.nKey]);
+      if (!isFinite(wr) || !(n >= minN)) continue;
+      const k = normKey(r[group.nameKey]);
+      let line = lines.get(k);
+      if (!line) lines.set(k, (line = { key: k, name: r[group.nameKey], cells: champions.map(() => null) }));
+      line.cells[i] = { wr, n };
+    }
+  });
+  return Array.from(lines.values(), (line) => {
+    let best = -1, worst = -1;
+    line.cells.forEach((cell, i) => {
+      if (!cell) return;
+      if (best < 0 || cell.wr > line.cells[best].wr) best = i;
+      if (worst < 0 || cell.wr < line.cells[worst].wr) worst = i;
+    });
+    const present = line.cells.filter(Boolean).length;
+    return {
+      ...line,
+      shared: present === champions.length,
+      spread: present > 1 ? line.cells[best].wr - line.cells[worst].wr : NaN,
+      best: present > 1 ? best : -1,
+      worst: present > 1 ? worst : -1,
+    };
+  }).sort((a, b) => (isFinite(b.spread) ? b.spread : -1) - (isFinite(a.spread) ? a.spread : -1) || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,57 @@
+// ---- Main-thread side of the CSV worker ----
+// One shared worker; each request gets an id and resolves when its reply arrives.
+
+let worker = null;
+let seq = 0;
+const pending = new Map(); // id -> { resolve, reject, onProgress }
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./csvWorker.js", import.meta.url), { type: "module" });
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    const job = pending.get(msg.id);
+    if (!job) return;
+    if (msg.type === "progress") {
+      job.onProgress?.(msg.loaded, msg.total);
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.type === "parsed") job.resolve({ rows: msg.rows, fields: msg.fields, detected: msg.detected, parseErrors: msg.parseErrors, ...(msg.raw ? { raw: msg.raw } : {}) });
+    else if (msg.type === "aggregated") job.resolve(msg.result);
+    else if (msg.type === "cancelled") job.resolve(null);
+    else job.reject(new Error(msg.message || "CSV worker failed"));
+  };
+  // A crashed worker fails everything in flight; the next request starts a fresh one.
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    for (const job of pending.values()) job.reject(new Error(e.message || "CSV worker crashed"));
+    pending.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+}
+
+function request(msg, onProgress) {
+  const id = ++seq;
+  const promise = new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ ...msg, id });
+  });
+  return { id, promise };
+}
+
+// Parse one CSV file. `promise` resolves to { rows, fields, detected, parseErrors, raw? }, or null
+// when cancelled; `onProgress(loaded, total)` is called per chunk. `augTiers`
+// (normKey -> tier) fills in tiers that raw match files don't give.
+export function parseFile(file, onProgress, augTiers) {
+  const { id, promise } = request({ type: "parse", file, augTiers }, onProgress);
+  const cancel = () => { if (pending.has(id)) worker?.postMessage({ type: "cancel", id }); };
+  return { id, promise, cancel };
+}
+
+// Merge and index the loaded files (see aggregate.js). `files` are { snapshot, type, rows, tables? }.
+export function aggregateFiles(files) {
+  return request({ type: "aggregate", files }).promise;
+}
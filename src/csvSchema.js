@@ -0,0 +1,148 @@
+import { RAW_LABEL, RAW_TYPE, rawColumns } from "./rawMatches";
+import { placementMeans } from "./placement";
+import { toNum } from "./stats";
+
+// ---- CSV schema detection ----
+// Each dataset is recognised by its header columns, not its filename. The two item
+// exports share a schema, so the filename (or a manual override) breaks that tie.
+// `key` identifies a row when merging files; `rates` are the [win rate, N] column
+// pairs that get re-pooled from summed wins and games; `means` are optional per-game
+// averages (placement.js) pooled the same way without touching N; `nameKey` is the
+// item/augment column, if the dataset has one.
+
+export const DATASETS = {
+  pris: {
+    label: "Prismatic items",
+    required: ["champion_name", "item_name", "n_present", "win_rate_present"],
+    hint: /prismatic/i,
+    key: ["champion_name", "item_name"],
+    nameKey: "item_name",
+    rates: [["win_rate_present", "n_present"]],
+    means: placementMeans("win_rate_present", "n_present"),
+  },
+  leg: {
+    label: "Legendary items",
+    required: ["champion_name", "item_name", "n_present", "win_rate_present"],
+    hint: /legendary/i,
+    key: ["champion_name", "item_name"],
+    nameKey: "item_name",
+    rates: [["win_rate_present", "n_present"]],
+    means: placementMeans("win_rate_present", "n_present"),
+  },
+  aug: {
+    label: "Augments",
+    required: ["champion_name", "augment_name", "tier_norm", "n", "win_rate"],
+    hint: /augment/i,
+    key: ["champion_name", "augment_name", "tier_norm"],
+    nameKey: "augment_name",
+    rates: [["win_rate", "n"]],
+    means: placementMeans("win_rate", "n"),
+  },
+  vshop: {
+    label: "Voucher vs shop",
+    required: ["champion_name", "wr_voucher2000", "n_voucher2000", "wr_shop2500", "n_shop2500"],
+    hint: /2000.*2500|voucher/i,
+    key: ["champion_name"],
+    rates: [["wr_voucher2000", "n_voucher2000"], ["wr_shop2500", "n_shop2500"]],
+  },
+  // Two things picked in the same game (see synergy.js); kinds are "augment" (default)
+  // or "prismatic", and the pair may be listed in either order.
+  pairs: {
+    label: "Pair synergies",
+    required: ["champion_name", "first_name", "second_name", "n", "win_rate"],
+    hint: /pair|synerg|combo/i,
+    key: ["champion_name", "first_kind", "first_name", "second_kind", "second_name"],
+    rates: [["win_rate", "n"]],
+  },
+};
+
+export const DATASET_KEYS = Object.keys(DATASETS);
+
+// Columns that may carry the game patch the export was built from. Parsed as text:
+// typed as numbers, "14.10" would read back as 14.1.
+export const PATCH_COLUMNS = ["patch", "game_version", "patch_version", "version"];
+
+export function emptyData() {
+  return { pris: [], leg: [], aug: [], vshop: [], pairs: [] };
+}
+
+// Classify a parsed CSV from its header fields.
+//   type       — the dataset key, RAW_TYPE for raw match rows (see rawMatches.js), or ""
+//                when unrecognised / ambiguous
+//   candidates — every dataset whose required columns are all present
+//   missing    — dataset key -> required columns not found (for the error message)
+export function detectSchema(fields, fileName = "") {
+  const have = new Set((fields || []).map((f) => String(f).trim().toLowerCase()));
+  const missing = {};
+  const candidates = [];
+  for (const key of DATASET_KEYS) {
+    const miss = DATASETS[key].required.filter((c) => !have.has(c));
+    missing[key] = miss;
+    if (!miss.length) candidates.push(key);
+  }
+
+  let type = candidates.length === 1 ? candidates[0] : !candidates.length && rawColumns(fields) ? RAW_TYPE : "";
+  if (candidates.length > 1) {
+    const hinted = candidates.filter((k) => DATASETS[k].hint.test(fileName));
+    if (hinted.length === 1) type = hinted[0];
+  }
+  return { type, candidates, missing };
+}
+
+// Display name for a file's type (a dataset key or RAW_TYPE).
+export function typeLabel(type) {
+  return type === RAW_TYPE ? RAW_LABEL : DATASETS[type]?.label || "";
+}
+
+// Human-readable reason a file was not recognised: the closest schema's missing columns.
+export function describeMismatch(missing) {
+  let best = "";
+  for (const key of DATASET_KEYS) {
+    if (!best || missing[key].length < missing[best].length) best = key;
+  }
+  if (!best) return "no header row";
+  return `closest match ${DATASETS[best].label} is missing ${missing[best].join(", ")}`;
+}
+
+// Identity of a row within its dataset (champion + item / augment + tier, ...).
+export function rowKey(type, r) {
+  return DATASETS[type].key.map((c) => String(r?.[c] ?? "").trim().toLowerCase()).join("\u0000");
+}
+
+// Merge several files' rows of one dataset. Rows sharing a key have their wins and
+// games summed and the win rate recomputed (placement means likewise, over the files
+// that have them); other columns come from the first file. A single file goes through
+// the same pooling, so duplicate keys within it are merged too.
+export function mergeRows(type, rowSets) {
+  const { rates: counted, means = [] } = DATASETS[type];
+  const rates = [...counted, ...means];
+  const merged = new Map();
+  for (const rows of rowSets) {
+    for (const r of rows) {
+      if (!r) continue;
+      const k = rowKey(type, r);
+      let acc = merged.get(k);
+      if (!acc) {
+        acc = { row: { ...r }, wins: rates.map(() => 0), games: rates.map(() => 0) };
+        merged.set(k, acc);
+      }
+      rates.forEach(([wrKey, nKey], i) => {
+        // A row without a usable win rate adds no games either, or it would pull the
+        // pooled rate toward zero. (Number(null) and Number("") are both 0.)
+        const p = toNum(r[wrKey]);
+        const n = toNum(r[nKey]);
+        if (!isFinite(p) || !isFinite(n) || n <= 0) return;
+        acc.wins[i] += p * n;
+        acc.games[i] += n;
+      });
+    }
+  }
+  return Array.from(merged.values(), ({ row, wins, games }) => {
+    rates.forEach(([wrKey, nKey], i) => {
+      if (i < counted.length) row[nKey] = games[i];
+      else if (!games[i]) return; // no file had this mean; leave the column absent
+      row[wrKey] = games[i] > 0 ? wins[i] / games[i] : null;
+    });
+    return row;
+  });
+}
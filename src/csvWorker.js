@@ -0,0 +1,93 @@
+import Papa from "papaparse";
+import { DATASETS, PATCH_COLUMNS, detectSchema } from "./csvSchema";
+import { aggregate } from "./aggregate";
+import { RAW_TYPE, createRawAccumulator, rawColumns } from "./rawMatches";
+import { placementRenames } from "./placement";
+
+// ---- CSV worker ----
+// Parses uploads off the main thread, streaming in chunks so progress can be reported
+// and a parse cancelled between chunks, and builds the merged per-champion data. Raw
+// match files are reduced to the aggregate tables as they stream, so their rows are
+// never held in memory.
+// Messages in:  { type: "parse", id, file, augTiers? } | { type: "cancel", id } | { type: "aggregate", id, files }
+// Messages out: { type: "progress", id, loaded, total } | { type: "parsed", id, rows, fields, detected, parseErrors, raw? }
+//               | { type: "cancelled", id } | { type: "error", id, message } | { type: "aggregated", id, result }
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_ERRORS = 200;
+
+const running = new Set();
+const cancelled = new Set(); // only ids still running; a late cancel is dropped
+
+function parse({ id, file, augTiers }) {
+  running.add(id);
+  const rows = [];
+  let fields = null;
+  let detected = null;
+  let raw = null; // accumulator when the file is raw match rows
+  let renames = []; // [from, to] placement header aliases
+  const errors = []; // [{ row, message }] rows the parser flagged, first MAX_ERRORS
+  let errorCount = 0;
+  Papa.parse(file, {
+    header: true,
+    dynamicTyping: (col) => !PATCH_COLUMNS.includes(col),
+    skipEmptyLines: true,
+    chunkSize: CHUNK_SIZE,
+    chunk: (res, parser) => {
+      if (cancelled.has(id)) return parser.abort();
+      if (!fields) {
+        fields = res.meta.fields || [];
+        detected = detectSchema(fields, file.name);
+        if (detected.type === RAW_TYPE) raw = createRawAccumulator(rawColumns(fields), { augTiers });
+        // Nothing to keep from a file no dataset matches; stop after the header.
+        else if (!detected.candidates.length) return parser.abort();
+        else {
+          renames = Object.entries(placementRenames(fields, DATASETS[detected.candidates[0]].rates[0][0]));
+          fields = fields.map((f) => renames.find(([from]) => from === f)?.[1] || f);
+        }
+      }
+      const base = raw ? raw.seen() : rows.length;
+      for (const e of res.errors || []) {
+        if (errors.length < MAX_ERRORS) errors.push({ row: base + (e.row ?? 0), message: e.message });
+        errorCount++;
+      }
+      if (raw) for (const r of res.data) raw.add(r);
+      else {
+        for (const r of res.data) {
+          for (const [from, to] of renames) { r[to] = r[from]; delete r[from]; }
+          rows.push(r);
+        }
+      }
+      self.postMessage({ type: "progress", id, loaded: Math.min(res.meta.cursor, file.size), total: file.size });
+    },
+    complete: () => {
+      running.delete(id);
+      if (cancelled.delete(id)) {
+        self.postMessage({ type: "cancelled", id });
+        return;
+      }
+      if (!fields) { fields = []; detected = detectSchema(fields, file.name); }
+      const msg = { type: "parsed", id, rows: detected.candidates.length ? rows : [], fields, detected, parseErrors: { rows: errors, count: errorCount } };
+      if (raw) msg.raw = raw.result(); // { tables, participants, skipped, untiered }
+      self.postMessage(msg);
+    },
+    error: (err) => {
+      running.delete(id);
+      cancelled.delete(id);
+      self.postMessage({ type: "error", id, message: String(err?.message || err) });
+    },
+  });
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "parse") parse(msg);
+  else if (msg.type === "cancel") { if (running.has(msg.id)) cancelled.add(msg.id); }
+  else if (msg.type === "aggregate") {
+    try {
+      self.postMessage({ type: "aggregated", id: msg.id, result: aggregate(msg.files) });
+    } catch (err) {
+      self.postMessage({ type: "error", id: msg.id, message: String(err?.message || err) });
+    }
+  }
+};
@@ -0,0 +1,143 @@
+import { DATASETS, rowKey } from "./csvSchema";
+import { toNum } from "./stats";
+
+// ---- Data health checks for loaded CSVs ----
+// Problem rows aren't rejected on load; most are quietly skipped later (no champion,
+// no N) or sort wrongly (percentages, odd tiers). These checks list them per file so
+// they can be inspected, and two of them can be fixed in place (see FIXES).
+
+export const TIERS = ["silver", "gold", "prismatic"];
+
+export const ISSUES = {
+  parse: "Malformed CSV rows",
+  champion: "Missing champion_name",
+  name: "Missing item / augment name",
+  rate: "Win rate missing or outside 0–1",
+  percent: "Win rate stored as a percentage (0–100)",
+  n: "N missing or negative",
+  duplicate: "Duplicate key (same champion and item / augment)",
+  tierCase: "tier_norm needs trimming or lower-casing",
+  tier: "Unknown tier_norm",
+};
+
+export const FIXES = {
+  percent: "Convert percentages to fractions",
+  tierCase: "Lower-case tiers",
+};
+
+// Win-rate columns holding percentages: most values above 1 and none above 100. A
+// column with only a few values above 1 is fractions with some bad rows instead.
+function percentColumns(type, rows) {
+  return DATASETS[type].rates.map(([wrKey]) => wrKey).filter((wrKey) => {
+    let above = 0, finite = 0;
+    for (const r of rows) {
+      const p = toNum(r?.[wrKey]);
+      if (!isFinite(p)) continue;
+      if (p > 100) return false;
+      finite++;
+      if (p > 1) above++;
+    }
+    return above > 0 && above * 2 >= finite;
+  });
+}
+
+// File -> { counts: { issue: n }, rows: { issue: [row index] }, total }. `parseErrors`
+// are the worker's [{ row, message }] for rows the CSV parser choked on.
+export function checkFile(type, rows, parseErrors = []) {
+  const out = { counts: {}, rows: {}, total: 0 };
+  const flag = (issue, i) => {
+    (out.rows[issue] ||= []).push(i);
+    out.counts[issue] = (out.counts[issue] || 0) + 1;
+  };
+  for (const e of parseErrors) if (isFinite(e.row)) flag("parse", e.row);
+  const ds = DATASETS[type];
+  if (ds) {
+    const percent = new Set(percentColumns(type, rows));
+    const seen = new Set();
+    rows.forEach((r, i) => {
+      if (!r) return;
+      if (!String(r.champion_name ?? "").trim()) flag("champion", i);
+      if (ds.nameKey && !String(r[ds.nameKey] ?? "").trim()) flag("name", i);
+      let rateIssue = "", nIssue = false;
+      for (const [wrKey, nKey] of ds.rates) {
+        const p = toNum(r[wrKey]);
+        const n = toNum(r[nKey]);
+        if (!isFinite(n) || n < 0) nIssue = true;
+        // A side with no games has no win rate to check.
+        if (n === 0 && !isFinite(p)) continue;
+        if (percent.has(wrKey) && p > 1 && p <= 100) rateIssue ||= "percent";
+        else if (!isFinite(p) || p < 0 || p > 1) rateIssue = "rate";
+      }
+      if (rateIssue) flag(rateIssue, i);
+      if (nIssue) flag("n", i);
+      const k = rowKey(type, r);
+      if (seen.has(k)) flag("duplicate", i);
+      seen.add(k);
+      if (type === "aug") {
+        const t = r.tier_norm;
+        if (!TIERS.includes(t)) flag(TIERS.includes(String(t ?? "").trim().toLowerCase()) ? "tierCase" : "tier", i);
+      }
+    });
+  }
+  out.total = Object.values(out.counts).reduce((a, b) => a + b, 0);
+  return out;
+}
+
+// Rows with one of FIXES applied (a new array; untouched rows are shared).
+export function applyFix(type, rows, fix) {
+  if (fix === "percent") {
+    const cols = percentColumns(type, rows);
+    return rows.map((r) => {
+      const next = { ...r };
+      for (const c of cols) {
+        const p = toNum(r?.[c]);
+        if (isFinite(p)) next[c] = p / 100;
+      }
+      return next;
+    });
+  }
+  if (fix === "tierCase") {
+    return rows.map((r) => {
+      const t = String(r?.tier_norm ?? "").trim().toLowerCase();
+      return TIERS.includes(t) && r.tier_norm !== t ? { ...r, tier_norm: t } : r;
+    });
+  }
+  return rows;
+}
+
+// ---- Cross-dataset N consistency ----
+// A game has roughly one prismatic item and one augment of each tier, so for one
+// champion the summed N of the prismatic file and of each augment tier should all be
+// near its game count; a large gap usually means files from different patches or
+// filters. Legendary items are left out: players end with several.
+export const N_GROUPS = [
+  { key: "pris", label: "Prismatic items", dataset: "pris", nKey: "n_present" },
+  ...TIERS.map((t) => ({ key: `aug-${t}`, label: `${t[0].toUpperCase()}${t.slice(1)} augments`, dataset: "aug", tier: t, nKey: "n" })),
+];
+
+// Flagged when the smallest group sum is under this share of the largest.
+export const N_RATIO = 0.5;
+
+// `index` is aggregate.indexByChampion output. Returns [{ champion, sums: { group: n },
+// ratio }] for champions whose groups disagree, worst first.
+export function checkNConsistency(index) {
+  const out = [];
+  const champions = new Set(N_GROUPS.flatMap((g) => [...index[g.dataset].keys()]));
+  for (const champion of champions) {
+    const sums = {};
+    for (const g of N_GROUPS) {
+      let n = 0;
+      for (const r of index[g.dataset].get(champion) || []) {
+        if (g.tier && String(r.tier_norm || "").toLowerCase() !== g.tier) continue;
+        const v = toNum(r[g.nKey]);
+        if (v > 0) n += v;
+      }
+      if (n > 0) sums[g.key] = n;
+    }
+    const vals = Object.values(sums);
+    if (vals.length < 2) continue;
+    const ratio = Math.min(...vals) / Math.max(...vals);
+    if (ratio < N_RATIO) out.push({ champion, sums, ratio });
+  }
+  return out.sort((a, b) => a.ratio - b.ratio);
+}
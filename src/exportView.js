@@ -0,0 +1,211 @@
+import Papa from "papaparse";
+import { SORT_LABELS, toNum, wilson } from "./stats";
+import { fmtDelta, fmtInt, fmtPct } from "./format";
+
+// ---- Exporting the current champion view ----
+// Everything works from the same flat list of rows the view renders (already filtered
+// by min N and sorted), so every format matches what is on screen.
+
+export const MD_TOP = 10; // rows per section in the Markdown and Discord exports
+const PNG_TOP = 5;        // rows per column on the PNG card
+
+export const SECTIONS = [
+  { key: "pris", label: "Prismatic items" },
+  { key: "leg", label: "Legendary items" },
+  { key: "silver", label: "Silver augments" },
+  { key: "gold", label: "Gold augments" },
+  { key: "prismatic", label: "Prismatic augments" },
+];
+
+function entry(section, r, name, wrKey, nKey) {
+  const wr = toNum(r[wrKey]);
+  const n = toNum(r[nKey]);
+  const ci = wilson(wr, n);
+  const out = { section, name: String(name ?? ""), win_rate: wr, n, ci_low: ci.lo, ci_high: ci.hi };
+  if (r.snapshot_status !== undefined) {
+    out.status = r.snapshot_status;
+    out.wr_change = r.wr_change ?? null;
+    out.n_change = r.n_change ?? null;
+  }
+  return out;
+}
+
+// The view as plain data: { champion, minN, sortKey, sections: { key: rows[] }, vshop }.
+export function buildExport({ champion, minN, sortKey, prisRows, legRows, augByTier, vshopRow }) {
+  const sections = {
+    pris: prisRows.map((r) => entry("pris", r, r.item_name, "win_rate_present", "n_present")),
+    leg: legRows.map((r) => entry("leg", r, r.item_name, "win_rate_present", "n_present")),
+  };
+  for (const t of ["silver", "gold", "prismatic"]) {
+    sections[t] = (augByTier[t] || []).map((r) => entry(t, r, r.augment_name, "win_rate", "n"));
+  }
+  const vshop = vshopRow
+    ? {
+        voucher: { win_rate: toNum(vshopRow.wr_voucher2000), n: toNum(vshopRow.n_voucher2000) },
+        shop: { win_rate: toNum(vshopRow.wr_shop2500), n: toNum(vshopRow.n_shop2500) },
+      }
+    : null;
+  return { champion, minN, sortKey, exportedAt: new Date().toISOString(), sections, vshop };
+}
+
+export function toJson(view) {
+  return JSON.stringify(view, null, 2) + "\n";
+}
+
+export function toCsv(view) {
+  const rows = SECTIONS.flatMap((s) => view.sections[s.key].map((r) => ({ champion: view.champion, ...r })));
+  if (view.vshop) {
+    rows.push({ champion: view.champion, section: "vshop", name: "2000g voucher", ...view.vshop.voucher });
+    rows.push({ champion: view.champion, section: "vshop", name: "2500g shop", ...view.vshop.shop });
+  }
+  const fields = ["champion", "section", "name", "win_rate", "n", "ci_low", "ci_high"];
+  if (rows.some((r) => "status" in r)) fields.push("status", "wr_change", "n_change");
+  return Papa.unparse({ fields, data: rows.map((r) => fields.map((f) => r[f] ?? "")) }) + "\n";
+}
+
+const mdCell = (s) => String(s).replace(/\|/g, "\\|");
+
+const mdTitle = (view) => [
+  `## ${view.champion} — Arena`,
+  `_N ≥ ${view.minN}, sorted by ${(SORT_LABELS[view.sortKey] || view.sortKey).toLowerCase()}; top ${MD_TOP} per section_`,
+  "",
+];
+
+const vshopLine = (vshop) =>
+  `Voucher ${fmtPct(vshop.voucher.win_rate)} (N ${fmtInt(vshop.voucher.n)}) · Shop ${fmtPct(vshop.shop.win_rate)} (N ${fmtInt(vshop.shop.n)})`;
+
+// Table rows for one section: [#, name, WR, N, Δ WR?] as strings.
+function sectionCells(rows, withChange, name = (s) => s) {
+  return rows.map((r, i) => {
+    const cells = [String(i + 1), name(r.name), fmtPct(r.win_rate), fmtInt(r.n)];
+    if (withChange) cells.push(r.status || fmtDelta(r.wr_change));
+    return cells;
+  });
+}
+
+export function toMarkdown(view) {
+  const lines = mdTitle(view);
+  for (const s of SECTIONS) {
+    const rows = view.sections[s.key].slice(0, MD_TOP);
+    if (!rows.length) continue;
+    const withChange = rows.some((r) => "status" in r);
+    lines.push(`**${s.label}**`, "");
+    lines.push(withChange ? "| # | Name | WR | N | Δ WR |" : "| # | Name | WR | N |");
+    lines.push(withChange ? "|--:|---|--:|--:|--:|" : "|--:|---|--:|--:|");
+    for (const cells of sectionCells(rows, withChange, mdCell)) lines.push(`| ${cells.join(" | ")} |`);
+    lines.push("");
+  }
+  if (view.vshop) lines.push("**2000g voucher vs 2500g shop**", "", vshopLine(view.vshop), "");
+  return lines.join("\n");
+}
+
+// Discord doesn't render pipe tables, so each section is a code block with the
+// columns padded to line up (names left-aligned, numbers right-aligned).
+export function toDiscord(view) {
+  const lines = mdTitle(view);
+  for (const s of SECTIONS) {
+    const rows = view.sections[s.key].slice(0, MD_TOP);
+    if (!rows.length) continue;
+    const withChange = rows.some((r) => "status" in r);
+    const header = withChange ? ["#", "Name", "WR", "N", "Δ WR"] : ["#", "Name", "WR", "N"];
+    const body = sectionCells(rows, withChange, (name) => name.replace(/`/g, "'"));
+    const widths = header.map((h, c) => Math.max(h.length, ...body.map((cells) => cells[c].length)));
+    const pad = (cells) => cells.map((x, c) => (c === 1 ? x.padEnd(widths[c]) : x.padStart(widths[c]))).join("  ").trimEnd();
+    lines.push(`**${s.label}**`, "```", pad(header), ...body.map(pad), "```", "");
+  }
+  if (view.vshop) lines.push("**2000g voucher vs 2500g shop**", vshopLine(view.vshop), "");
+  return lines.join("\n");
+}
+
+export function download(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function loadImage(src) {
+  return new Promise((resolve) => {
+    if (!src) return resolve(null);
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.referrerPolicy = "no-referrer";
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+const TIER_COLORS = { silver: "#94A3B8", gold: "#F59E0B", prismatic: "#A78BFA", pris: "#60A5FA", leg: "#F97316" };
+
+// Summary card: top rows per section with icons. `iconFor(sectionKey, name)` gives the
+// icon URL. Icons are loaded with CORS so the canvas stays exportable; any that fail
+// (offline, no CORS) fall back to a letter tile.
+export async function renderPng(view, iconFor) {
+  const colW = 240, rowH = 40, pad = 16, headH = 64, secH = 28;
+  const cols = SECTIONS.filter((s) => view.sections[s.key].length);
+  const maxRows = Math.max(1, ...cols.map((s) => Math.min(PNG_TOP, view.sections[s.key].length)));
+  const canvas = document.createElement("canvas");
+  const scale = 2;
+  canvas.width = (pad * 2 + Math.max(1, cols.length) * colW) * scale;
+  canvas.height = (headH + secH + maxRows * rowH + pad * 2) * scale;
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#111827";
+  ctx.font = "bold 22px system-ui, sans-serif";
+  ctx.fillText(`${view.champion} — Arena`, pad, pad + 22);
+  ctx.fillStyle = "#6B7280";
+  ctx.font = "12px system-ui, sans-serif";
+  ctx.fillText(`N ≥ ${view.minN} · ${SORT_LABELS[view.sortKey] || view.sortKey}`, pad, pad + 42);
+
+  const images = await Promise.all(
+    cols.flatMap((s) => view.sections[s.key].slice(0, PNG_TOP).map((r) => loadImage(iconFor(s.key, r.name))))
+  );
+
+  let k = 0;
+  cols.forEach((s, ci) => {
+    const x = pad + ci * colW;
+    let y = headH;
+    ctx.fillStyle = TIER_COLORS[s.key] || "#111827";
+    ctx.font = "bold 13px system-ui, sans-serif";
+    ctx.fillText(s.label, x, y + 16);
+    y += secH;
+    for (const r of view.sections[s.key].slice(0, PNG_TOP)) {
+      const img = images[k++];
+      ctx.fillStyle = "#F3F4F6";
+      ctx.fillRect(x, y + 2, 32, 32);
+      if (img) {
+        ctx.drawImage(img, x, y + 2, 32, 32);
+      } else {
+        ctx.fillStyle = "#374151";
+        ctx.font = "bold 12px system-ui, sans-serif";
+        ctx.fillText((r.name || "?").charAt(0).toUpperCase(), x + 12, y + 22);
+      }
+      ctx.fillStyle = "#111827";
+      ctx.font = "13px system-ui, sans-serif";
+      let name = r.name;
+      while (name.length > 3 && ctx.measureText(name).width > colW - 110) name = name.slice(0, -2);
+      ctx.fillText(name === r.name ? name : name + "…", x + 40, y + 16);
+      ctx.fillStyle = "#6B7280";
+      ctx.font = "11px system-ui, sans-serif";
+      ctx.fillText(`${fmtPct(r.win_rate)} · N ${fmtInt(r.n)}`, x + 40, y + 31);
+      y += rowH;
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    try {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("PNG encoding failed"))), "image/png");
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
@@ -0,0 +1,56 @@
+import { wilson } from "./stats";
+
+// ---- Formatting ----
+export function fmtPct(x) {
+  const n = typeof x === "string" ? parseFloat(x) : (x ?? 0);
+  if (!isFinite(n)) return "–";
+  return (n * 100).toFixed(1) + "%";
+}
+
+// Signed percentage-point difference, e.g. "+4.2%"
+export function fmtDelta(d) {
+  if (!isFinite(d)) return "–";
+  return `${d > 0 ? "+" : ""}${(d * 100).toFixed(1)}%`;
+}
+
+// p-value, e.g. "0.034" or "<0.001"
+export function fmtP(p) {
+  if (!isFinite(p)) return "–";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+
+// Average placement, e.g. "3.42"
+export function fmtPlace(x) {
+  const n = typeof x === "string" ? parseFloat(x) : (x ?? NaN);
+  return isFinite(n) ? n.toFixed(2) : "–";
+}
+
+export function fmtCI(p, n) {
+  const { lo, hi } = wilson(p, n);
+  return `${(lo * 100).toFixed(1)}–${(hi * 100).toFixed(1)}%`;
+}
+
+export function fmtInt(x) {
+  const n = typeof x === "string" ? parseFloat(x) : (x ?? 0);
+  if (!isFinite(n)) return "0";
+  return Math.round(n).toString();
+}
+
+export function normKey(str) {
+  let s = (str || "").toString().trim().toLowerCase();
+  let out = "";
+  let lastSpace = false;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    const code = ch.charCodeAt(0);
+    const isNum = code >= 48 && code <= 57;
+    const isLow = code >= 97 && code <= 122;
+    if (isNum || isLow) {
+      out += ch;
+      lastSpace = false;
+    } else {
+      if (!lastSpace) { out += " "; lastSpace = true; }
+    }
+  }
+  return out.trim();
+}
@@ -0,0 +1,76 @@
+import { normKey } from "./format";
+import { similarity } from "./nameResolver";
+
+// ---- Fuzzy name search ----
+// Shared by every lookup box (champions, compare picker, items / augments). Queries
+// and names are compared as normKey with the spaces dropped, so "kaisa", "Kai'Sa" and
+// "kai sa" are all the same. Ranking, best first:
+//   exact 100 > prefix 90 > start of a later word 80 > substring 70
+//   > letters in order 50–60 > typo-tolerant prefix up to 40
+
+export const MAX_RECENTS = 8; // recent champions kept by the champion search
+const MAX_RESULTS = 12;
+const TYPO_SIMILARITY = 0.6;
+
+// Scores at or above this count as a real match when resolving a typed query.
+const CLOSE_SCORE = 70;
+
+const compact = (s) => normKey(s).replace(/ /g, "");
+
+// Span of the shortest in-order run of q's letters starting at their first match, or -1.
+function subsequenceSpan(q, s) {
+  let start = -1, j = 0;
+  for (let i = 0; i < s.length && j < q.length; i++) {
+    if (s[i] !== q[j]) continue;
+    if (start < 0) start = i;
+    j++;
+    if (j === q.length) return i - start + 1;
+  }
+  return -1;
+}
+
+// `q` is already compacted.
+function scoreName(q, name) {
+  const s = compact(name);
+  if (s === q) return 100;
+  if (s.startsWith(q)) return 90;
+  if (normKey(name).split(" ").slice(1).some((w) => w.startsWith(q))) return 80;
+  if (s.includes(q)) return 70;
+  const span = subsequenceSpan(q, s);
+  if (span > 0) return 50 + (10 * q.length) / span;
+  if (q.length >= 3) {
+    const sim = similarity(q, s.slice(0, q.length));
+    if (sim >= TYPO_SIMILARITY) return 40 * sim;
+  }
+  return 0;
+}
+
+// Best matches for a query, best first.
+export function rankNames(query, names, limit = MAX_RESULTS) {
+  const q = compact(query);
+  if (!q) return [];
+  return names
+    .map((name) => ({ name, score: scoreName(q, name) }))
+    .filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map((c) => c.name);
+}
+
+// The name a query matches exactly ("kaisa" -> "Kai'Sa"), or "".
+export function exactName(query, names) {
+  const q = compact(query);
+  return (q && names.find((c) => compact(c) === q)) || "";
+}
+
+// The name a typed query stands for: an exact match, else the only close match.
+// "" when there is none or several ("ka" could be Kai'Sa, Kalista, Karma, …); list
+// rankNames to let the user choose then.
+export function resolveName(query, names) {
+  const q = compact(query);
+  if (!q) return "";
+  const exact = exactName(q, names);
+  if (exact) return exact;
+  const close = names.filter((c) => scoreName(q, c) >= CLOSE_SCORE);
+  return close.length === 1 ? close[0] : "";
+}
@@ -0,0 +1,106 @@
+import { normKey } from "./format";
+import { resolverFor } from "./nameResolver";
+
+// ---- Item / augment details from the CommunityDragon JSON ----
+// The icon maps only keep name -> URL; this keeps the descriptive fields for the
+// detail drawer. Field names vary between exports, hence the fallbacks.
+
+const RARITIES = ["silver", "gold", "prismatic"];
+
+function augRarity(r) {
+  if (typeof r === "number") return RARITIES[r] || "";
+  const s = String(r ?? "").toLowerCase();
+  return RARITIES.find((t) => s.includes(t)) || "";
+}
+
+// name key -> details, for items (items.json, then arena items on top) and augments.
+export function buildMetaIndex(itemsJson, arenaJson) {
+  const items = new Map();
+  if (Array.isArray(itemsJson)) {
+    for (const it of itemsJson) {
+      const key = normKey(it?.name || it?.nameLocalized);
+      if (!key) continue;
+      items.set(key, {
+        name: it.name || it.nameLocalized,
+        description: it.description || "",
+        price: it.price,
+        priceTotal: it.priceTotal,
+        categories: it.categories || [],
+      });
+    }
+  }
+  const arenaItems = (!Array.isArray(arenaJson) && (arenaJson?.items || arenaJson?.Items)) || [];
+  for (const it of arenaItems) {
+    const name = it?.name ?? it?.Name ?? it?.displayName ?? it?.DisplayName;
+    const key = normKey(name);
+    if (!key) continue;
+    const prev = items.get(key) || {};
+    items.set(key, {
+      ...prev,
+      name: prev.name || name,
+      description: it?.desc ?? it?.description ?? prev.description ?? "",
+      price: it?.price ?? prev.price,
+      priceTotal: it?.priceTotal ?? prev.priceTotal,
+      dataValues: it?.dataValues ?? it?.DataValues ?? prev.dataValues,
+    });
+  }
+
+  const augs = new Map();
+  const augList = Array.isArray(arenaJson) ? arenaJson : (arenaJson?.augments || arenaJson?.Augments || []);
+  for (const a of augList) {
+    const name = a?.name ?? a?.Name ?? a?.apiName ?? a?.ApiName;
+    const key = normKey(name);
+    if (!key) continue;
+    augs.set(key, {
+      name,
+      apiName: a?.apiName ?? a?.ApiName,
+      description: a?.desc ?? a?.description ?? "",
+      tooltip: a?.tooltip ?? a?.Tooltip ?? "",
+      rarity: augRarity(a?.rarity ?? a?.Rarity),
+      dataValues: a?.dataValues ?? a?.DataValues ?? {},
+    });
+  }
+  return { items, augs };
+}
+
+// Same matching rules as the icons (nameResolver), but over this index rather than the
+// icon map. The two hold different names (entries without an icon are only here), so
+// an aliased or fuzzy-matched name can resolve to different entries in each.
+export function findMeta(name, map, aliases) {
+  if (!name || !map) return null;
+  return resolverFor(map, aliases).resolve(name).value || null;
+}
+
+function fmtValue(v) {
+  if (typeof v !== "number" || !isFinite(v)) return String(v ?? "");
+  return Number.isInteger(v) ? String(v) : String(Number(v.toFixed(2)));
+}
+
+// Replace @Var@ / @Var*100@ placeholders with data values (case-insensitive),
+// turn <br> into newlines and drop the remaining markup.
+export function fillDescription(text, dataValues = {}) {
+  if (!text) return "";
+  const values = new Map(Object.entries(dataValues || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  return String(text)
+    .replace(/@([A-Za-z0-9_.:]+)(?:\*(-?[\d.]+))?@/g, (whole, key, mult) => {
+      const v = values.get(key.toLowerCase());
+      if (v === undefined) return whole.replace(/@/g, "");
+      const n = Number(v) * (mult ? Number(mult) : 1);
+      return fmtValue(isFinite(n) ? n : v);
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?[^>]+>/g, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Split an items.json description into stat lines (the <stats> block) and the rest.
+export function splitItemDescription(description, dataValues) {
+  const html = String(description || "");
+  const m = html.match(/<stats>([\s\S]*?)<\/stats>/i);
+  const stats = m
+    ? fillDescription(m[1], dataValues).split("\n").map((l) => l.trim()).filter(Boolean)
+    : [];
+  const text = fillDescription(m ? html.replace(m[0], "") : html, dataValues);
+  return { stats, text };
+}
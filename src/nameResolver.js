@@ -0,0 +1,122 @@
+import { normKey } from "./format";
+import ALIASES from "./nameAliases.json";
+
+// ---- Name resolution: CSV names -> CommunityDragon entries ----
+// Every lookup goes through the same ordered steps and reports how it matched:
+//   alias   — listed in nameAliases.json under "items" / "augments" as
+//             { "CSV name": "metadata name" }, confidence 1
+//   exact   — same normKey, confidence 1
+//   compact — same once spaces are dropped ("Prowlers Claw" vs "Prowler's Claw"), 0.99
+//   fuzzy   — best edit-distance similarity, accepted at >= FUZZY_THRESHOLD
+// There is no substring matching: "Rod" must not borrow "Lightning Rod"'s icon.
+
+export const FUZZY_THRESHOLD = 0.85;
+
+// A fuzzy runner-up this close to the winner makes the match ambiguous.
+const AMBIGUOUS_MARGIN = 0.03;
+
+export const ITEM_ALIASES = ALIASES.items || {};
+export const AUG_ALIASES = ALIASES.augments || {};
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+export function similarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 1;
+}
+
+// Build a resolver over `map` (normKey -> value). Results are cached per input name.
+export function createResolver(map, aliases = {}) {
+  const keys = Array.from(map.keys());
+  const compact = new Map();
+  for (const k of keys) {
+    const c = k.replace(/ /g, "");
+    if (!compact.has(c)) compact.set(c, k);
+  }
+  const aliasKeys = new Map(Object.entries(aliases).map(([from, to]) => [normKey(from), normKey(to)]));
+  const cache = new Map();
+
+  function match(name) {
+    const nk = normKey(name);
+    if (!nk) return { key: "", confidence: 0, method: "none", alternatives: [] };
+
+    const aliased = aliasKeys.get(nk);
+    if (aliased && map.has(aliased)) return { key: aliased, confidence: 1, method: "alias", alternatives: [] };
+    if (map.has(nk)) return { key: nk, confidence: 1, method: "exact", alternatives: [] };
+    const c = compact.get(nk.replace(/ /g, ""));
+    if (c) return { key: c, confidence: 0.99, method: "compact", alternatives: [] };
+
+    // Length bound: anything further apart than this cannot reach the threshold.
+    const maxDiff = Math.floor(nk.length * (1 - FUZZY_THRESHOLD) / FUZZY_THRESHOLD) + 1;
+    const scored = [];
+    for (const k of keys) {
+      if (Math.abs(k.length - nk.length) > maxDiff) continue;
+      const score = similarity(nk, k);
+      if (score >= FUZZY_THRESHOLD - AMBIGUOUS_MARGIN) scored.push({ key: k, score });
+    }
+    scored.sort((a, b) => b.score - a.score);
+    const best = scored[0];
+    if (!best || best.score < FUZZY_THRESHOLD) {
+      return { key: "", confidence: best ? best.score : 0, method: "none", alternatives: scored.slice(0, 3) };
+    }
+    const alternatives = scored.slice(1).filter((s) => best.score - s.score <= AMBIGUOUS_MARGIN);
+    return { key: best.key, confidence: best.score, method: "fuzzy", alternatives };
+  }
+
+  return {
+    resolve(name) {
+      const id = String(name ?? "");
+      if (!cache.has(id)) {
+        const m = match(id);
+        cache.set(id, { ...m, value: m.key ? map.get(m.key) : undefined });
+      }
+      return cache.get(id);
+    },
+  };
+}
+
+// One cached resolver per (map, alias set); maps are rebuilt when metadata changes,
+// which drops their resolvers with them.
+const resolvers = new WeakMap();
+
+export function resolverFor(map, aliases = {}) {
+  let byAliases = resolvers.get(map);
+  if (!byAliases) { byAliases = new Map(); resolvers.set(map, byAliases); }
+  if (!byAliases.has(aliases)) byAliases.set(aliases, createResolver(map, aliases));
+  return byAliases.get(aliases);
+}
+
+// Every distinct CSV name with its match. `conflicts` lists what needs a human look:
+//   "unresolved"   — nothing matched
+//   "ambiguous"    — fuzzy runner-ups nearly as good as the winner
+//   "shared"       — another CSV name resolved to the same entry
+export function matchReport(names, map, aliases = {}) {
+  const r = resolverFor(map, aliases);
+  const rows = Array.from(new Set(names.filter(Boolean).map(String))).sort().map((name) => ({ name, ...r.resolve(name) }));
+  const byKey = new Map();
+  for (const row of rows) {
+    if (!row.key) continue;
+    if (!byKey.has(row.key)) byKey.set(row.key, []);
+    byKey.get(row.key).push(row.name);
+  }
+  return rows.map((row) => {
+    const conflicts = [];
+    if (!row.key) conflicts.push("unresolved");
+    if (row.method === "fuzzy" && row.alternatives.length) conflicts.push("ambiguous");
+    if (row.key && byKey.get(row.key).length > 1) conflicts.push("shared");
+    return { ...row, sharedWith: row.key ? byKey.get(row.key).filter((n) => n !== row.name) : [], conflicts };
+  });
+}
@@ -0,0 +1,71 @@
+import { pooledRate, sortRows, toNum } from "./stats";
+
+// ---- One summary row per champion for the overview table ----
+// The exports have no per-game table, so "games" is the largest summed N of any one
+// group (all prismatic items, all legendary items, or one augment tier); rows in a
+// group rarely share a game, so this is close to — but can exceed — the true count.
+// The overall WR pools the augment rows (every game picks augments), falling back to
+// the item datasets.
+
+export const AUG_TIERS = ["silver", "gold", "prismatic"];
+
+function sumN(rows, nKey) {
+  let n = 0;
+  for (const r of rows) {
+    const v = toNum(r[nKey]);
+    if (isFinite(v) && v > 0) n += v;
+  }
+  return n;
+}
+
+function byChampion(rows) {
+  const m = new Map();
+  for (const r of rows) {
+    if (!r || !r.champion_name) continue;
+    if (!m.has(r.champion_name)) m.set(r.champion_name, []);
+    m.get(r.champion_name).push(r);
+  }
+  return m;
+}
+
+// Top row under the active sort, after the min-N cutoff.
+function best(rows, wrKey, nKey, avg, minN, sortKey) {
+  const keep = rows.filter((r) => toNum(r[nKey]) >= minN);
+  const top = sortRows(keep, sortKey, wrKey, nKey, avg)[0];
+  return top ? { row: top, wr: toNum(top[wrKey]), n: toNum(top[nKey]) } : null;
+}
+
+// [{ champion, games, wr, bestPris, bestAug: { tier: best }, vshop }]
+export function buildOverview(data, champions, { minN, sortKey }) {
+  const pris = byChampion(data.pris);
+  const leg = byChampion(data.leg);
+  const aug = byChampion(data.aug);
+  const vshop = byChampion(data.vshop);
+
+  return champions.map((champion) => {
+    const p = pris.get(champion) || [];
+    const l = leg.get(champion) || [];
+    const a = aug.get(champion) || [];
+    const tiers = Object.fromEntries(AUG_TIERS.map((t) => [t, a.filter((r) => String(r.tier_norm || "").toLowerCase() === t)]));
+
+    const games = Math.max(sumN(p, "n_present"), sumN(l, "n_present"), ...AUG_TIERS.map((t) => sumN(tiers[t], "n")));
+    const augWr = pooledRate(a, "win_rate", "n");
+    const wr = isFinite(augWr) ? augWr
+      : isFinite(pooledRate(p, "win_rate_present", "n_present")) ? pooledRate(p, "win_rate_present", "n_present")
+      : pooledRate(l, "win_rate_present", "n_present");
+
+    const bestAug = {};
+    for (const t of AUG_TIERS) bestAug[t] = best(tiers[t], "win_rate", "n", augWr, minN, sortKey);
+
+    const v = (vshop.get(champion) || [])[0];
+    const voucher = toNum(v?.wr_voucher2000), shop = toNum(v?.wr_shop2500);
+    return {
+      champion,
+      games,
+      wr,
+      bestPris: best(p, "win_rate_present", "n_present", pooledRate(p, "win_rate_present", "n_present"), minN, sortKey),
+      bestAug,
+      vshop: v ? { voucher, shop, gap: voucher - shop, nVoucher: toNum(v.n_voucher2000), nShop: toNum(v.n_shop2500) } : null,
+    };
+  });
+}
@@ -0,0 +1,71 @@
+// ---- Placement metrics (optional columns) ----
+// Arena has 8 teams finishing 1st–8th. Besides the binary win rate, exports may carry
+// placement columns; these are their canonical names per dataset family, keyed by the
+// family's win-rate column (items use the *_present names, augments the plain ones).
+// Each is a per-game average, so merging pools it weighted by N like a win rate.
+
+export const PLACEMENT_METRICS = {
+  place: {
+    label: "Avg place",
+    sortLabel: "Average placement (best first)",
+    lowerIsBetter: true,
+    columns: { win_rate_present: "avg_placement_present", win_rate: "avg_placement" },
+  },
+  top2: {
+    label: "Top 2",
+    sortLabel: "Top-2 rate",
+    columns: { win_rate_present: "top2_rate_present", win_rate: "top2_rate" },
+  },
+  first: {
+    label: "1st",
+    sortLabel: "1st-place rate",
+    columns: { win_rate_present: "first_rate_present", win_rate: "first_rate" },
+  },
+};
+
+export const PLACEMENT_KEYS = Object.keys(PLACEMENT_METRICS);
+
+// Other header spellings accepted for the same columns.
+const ALIASES = {
+  avg_placement_present: ["avg_placement", "avg_place", "mean_placement"],
+  top2_rate_present: ["top2_rate", "top_2_rate"],
+  first_rate_present: ["first_rate", "first_place_rate", "top1_rate"],
+  avg_placement: ["avg_place", "mean_placement"],
+  top2_rate: ["top_2_rate"],
+  first_rate: ["first_place_rate", "top1_rate"],
+};
+
+// Header renames (file column -> canonical) for a file whose WR column is `wrKey`.
+export function placementRenames(fields, wrKey) {
+  const have = new Set(fields || []);
+  const out = {};
+  for (const m of Object.values(PLACEMENT_METRICS)) {
+    const canonical = m.columns[wrKey];
+    if (!canonical || have.has(canonical)) continue;
+    const alias = ALIASES[canonical].find((a) => have.has(a));
+    if (alias) out[alias] = canonical;
+  }
+  return out;
+}
+
+// [mean column, N column] pairs for a dataset, pooled when files are merged.
+export function placementMeans(wrKey, nKey) {
+  return PLACEMENT_KEYS.map((k) => [PLACEMENT_METRICS[k].columns[wrKey], nKey]);
+}
+
+export function placementValue(key, row, wrKey) {
+  const v = row?.[PLACEMENT_METRICS[key].columns[wrKey]];
+  const n = typeof v === "string" ? parseFloat(v) : (v ?? NaN);
+  return isFinite(n) ? n : NaN;
+}
+
+// Placement metrics present anywhere in the loaded rows ({ key: true }).
+export function availablePlacement(data) {
+  const out = {};
+  for (const [rows, wrKey] of [[data.pris, "win_rate_present"], [data.leg, "win_rate_present"], [data.aug, "win_rate"]]) {
+    for (const k of PLACEMENT_KEYS) {
+      if (!out[k] && rows.some((r) => isFinite(placementValue(k, r, wrKey)))) out[k] = true;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,195 @@
+import { normKey } from "./format";
+import { PLACEMENT_METRICS } from "./placement";
+import { orderPair } from "./synergy";
+
+// ---- Raw per-participant match rows -> the aggregate tables ----
+// One row per player per game. Recognised columns (header names are case-insensitive):
+//   champion_name | champion                  required
+//   win (1/0, true/false) | placement         required; without `win`, placement 1 is a win.
+//                                             With placement, the tables also get the
+//                                             placement columns (placement.js).
+//   augments                                  list; tiers from `augment_tiers` (same order) or
+//                                             from CommunityDragon rarity
+//   silver_augments, gold_augments, prismatic_augments   lists, instead of `augments`
+//   augment_1 … augment_N                     one augment per column, instead of `augments`
+//   prismatic_items, legendary_items          lists of items the player ended with
+//   legendary_purchase                        "voucher" (2000g) or "shop" (2500g)
+// Lists are separated by | or ;, or given as a JSON array.
+// Every augment + augment and augment + prismatic item picked together also counts
+// towards the pair table (synergy.js).
+// A file is treated as raw when it has the required columns plus at least one of the others.
+
+export const RAW_TYPE = "raw";
+export const RAW_LABEL = "Raw matches";
+export const WIN_PLACEMENT = 1;
+
+const TIERS = ["silver", "gold", "prismatic"];
+
+// First of `names` present in the header, as spelled in the file ("" if none).
+const pick = (have, names) => have.get(names.find((c) => have.has(c))) || "";
+
+// Column mapping for a raw header, or null if the header isn't one.
+export function rawColumns(fields) {
+  const have = new Map((fields || []).map((f) => [String(f).trim().toLowerCase(), f]));
+  const cols = {
+    champion: pick(have, ["champion_name", "champion"]),
+    win: pick(have, ["win", "won"]),
+    placement: pick(have, ["placement", "place"]),
+    augments: pick(have, ["augments"]),
+    augmentTiers: pick(have, ["augment_tiers"]),
+    numbered: [...have.keys()]
+      .filter((c) => /^augment_?\d+$/.test(c))
+      .sort((a, b) => parseInt(a.replace(/\D/g, "")) - parseInt(b.replace(/\D/g, "")))
+      .map((c) => have.get(c)),
+    tierLists: Object.fromEntries(TIERS.map((t) => [t, pick(have, [`${t}_augments`])]).filter(([, c]) => c)),
+    prismatic: pick(have, ["prismatic_items"]),
+    legendary: pick(have, ["legendary_items"]),
+    purchase: pick(have, ["legendary_purchase"]),
+  };
+  const hasData = cols.augments || cols.numbered.length || Object.keys(cols.tierLists).length || cols.prismatic || cols.legendary || cols.purchase;
+  return cols.champion && (cols.win || cols.placement) && hasData ? cols : null;
+}
+
+function splitList(v) {
+  if (v === null || v === undefined || v === "") return [];
+  const s = String(v).trim();
+  if (s.startsWith("[")) {
+    try {
+      const a = JSON.parse(s);
+      if (Array.isArray(a)) return a.map((x) => String(x).trim()).filter(Boolean);
+    } catch {
+      // not JSON after all; fall through to the separators
+    }
+  }
+  return s.split(/[|;]/).map((x) => x.trim()).filter(Boolean);
+}
+
+const normTier = (t) => TIERS.find((x) => String(t || "").toLowerCase().includes(x)) || "";
+
+function isWin(r, cols) {
+  if (cols.win) {
+    const v = String(r[cols.win] ?? "").trim().toLowerCase();
+    if (["1", "true", "yes", "win", "won", "victory"].includes(v)) return true;
+    if (["0", "false", "no", "loss", "lose", "lost", "defeat"].includes(v)) return false;
+  }
+  if (cols.placement) {
+    const p = Number(r[cols.placement]);
+    if (isFinite(p) && p >= 1) return p <= WIN_PLACEMENT;
+  }
+  return null;
+}
+
+function purchaseKind(v) {
+  const s = String(v ?? "").toLowerCase();
+  if (/voucher|2000/.test(s)) return "voucher";
+  if (/shop|direct|2500/.test(s)) return "shop";
+  return "";
+}
+
+// Streaming accumulator: feed rows with add(), read the tables with result().
+// `augTiers` maps normKey(augment) -> tier for augments whose tier the file doesn't give.
+export function createRawAccumulator(cols, { augTiers } = {}) {
+  const pris = new Map(), leg = new Map(), aug = new Map(), vshop = new Map(), pairs = new Map();
+  let participants = 0, skipped = 0, untiered = 0;
+
+  function bump(map, key, base, won, place) {
+    let acc = map.get(key);
+    if (!acc) map.set(key, (acc = { base, games: 0, wins: 0, placed: 0, placeSum: 0, top2: 0, first: 0 }));
+    acc.games++;
+    if (won) acc.wins++;
+    if (place) {
+      acc.placed++;
+      acc.placeSum += place;
+      if (place <= 2) acc.top2++;
+      if (place === 1) acc.first++;
+    }
+  }
+
+  function augmentsOf(r) {
+    const out = [];
+    for (const [t, c] of Object.entries(cols.tierLists)) for (const name of splitList(r[c])) out.push([name, t]);
+    const listed = cols.augments ? splitList(r[cols.augments]) : cols.numbered.map((c) => String(r[c] ?? "").trim()).filter(Boolean);
+    const tiers = cols.augmentTiers ? splitList(r[cols.augmentTiers]) : [];
+    listed.forEach((name, i) => out.push([name, normTier(tiers[i]) || augTiers?.get(normKey(name)) || ""]));
+    return out;
+  }
+
+  return {
+    // Rows fed in so far, kept or skipped.
+    seen: () => participants + skipped,
+
+    add(r) {
+      const champion = String(r?.[cols.champion] ?? "").trim();
+      const won = r ? isWin(r, cols) : null;
+      if (!champion || won === null) { skipped++; return; }
+      participants++;
+      const p = cols.placement ? Number(r[cols.placement]) : NaN;
+      const place = Number.isInteger(p) && p >= 1 ? p : 0;
+
+      const seen = new Set();
+      const picked = new Map(); // normKey -> augment name, for the pairs
+      for (const [name, tier] of augmentsOf(r)) {
+        const key = `${champion}\u0000${normKey(name)}\u0000${tier}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        picked.set(normKey(name), name);
+        if (!tier) untiered++;
+        bump(aug, key, { champion_name: champion, augment_name: name, tier_norm: tier }, won, place);
+      }
+      const prismatics = [];
+      for (const [col, map] of [[cols.prismatic, pris], [cols.legendary, leg]]) {
+        if (!col) continue;
+        for (const name of new Set(splitList(r[col]))) {
+          bump(map, `${champion}\u0000${normKey(name)}`, { champion_name: champion, item_name: name }, won, place);
+          if (map === pris) prismatics.push(name);
+        }
+      }
+      const augs = Array.from(picked.values(), (name) => ({ name, kind: "augment" }));
+      const items = prismatics.map((name) => ({ name, kind: "prismatic" }));
+      augs.forEach((a, i) => {
+        for (const b of [...augs.slice(i + 1), ...items]) {
+          const [x, y] = orderPair(a, b);
+          const key = `${champion}\u0000${x.kind}\u0000${normKey(x.name)}\u0000${y.kind}\u0000${normKey(y.name)}`;
+          bump(pairs, key, { champion_name: champion, first_name: x.name, first_kind: x.kind, second_name: y.name, second_kind: y.kind }, won, 0);
+        }
+      });
+      const kind = cols.purchase ? purchaseKind(r[cols.purchase]) : "";
+      if (kind) {
+        let acc = vshop.get(champion);
+        if (!acc) vshop.set(champion, (acc = { voucher: { games: 0, wins: 0 }, shop: { games: 0, wins: 0 } }));
+        acc[kind].games++;
+        if (won) acc[kind].wins++;
+      }
+    },
+
+    // Tables in the same shape as the pre-aggregated exports (see csvSchema.DATASETS).
+    result() {
+      const rate = (a) => (a.games > 0 ? a.wins / a.games : null);
+      // Placement columns only for rows that had placements, under the family's names.
+      const placed = (a, wrKey) => {
+        if (!a.placed) return {};
+        const col = (k) => PLACEMENT_METRICS[k].columns[wrKey];
+        return { [col("place")]: a.placeSum / a.placed, [col("top2")]: a.top2 / a.placed, [col("first")]: a.first / a.placed };
+      };
+      const items = (map) => Array.from(map.values(), (a) => ({ ...a.base, n_present: a.games, win_rate_present: rate(a), ...placed(a, "win_rate_present") }));
+      return {
+        tables: {
+          pris: items(pris),
+          leg: items(leg),
+          aug: Array.from(aug.values(), (a) => ({ ...a.base, n: a.games, win_rate: rate(a), ...placed(a, "win_rate") })),
+          vshop: Array.from(vshop, ([champion, a]) => ({
+            champion_name: champion,
+            wr_voucher2000: rate(a.voucher),
+            n_voucher2000: a.voucher.games,
+            wr_shop2500: rate(a.shop),
+            n_shop2500: a.shop.games,
+          })),
+          pairs: Array.from(pairs.values(), (a) => ({ ...a.base, n: a.games, win_rate: rate(a) })),
+        },
+        participants,
+        skipped,
+        untiered,
+      };
+    },
+  };
+}
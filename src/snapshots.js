@@ -0,0 +1,39 @@
+import { DATASETS, rowKey } from "./csvSchema";
+
+// ---- Baseline vs current snapshots ----
+// Files are loaded into one of two snapshots. When a baseline exists for a dataset,
+// each current row is annotated with its change against the matching baseline row:
+//   wr_change / n_change — current minus baseline (win rate and pick count)
+//   snapshot_status      — "new" (current only), "removed" (baseline only) or ""
+
+export const SNAPSHOTS = {
+  current: "Current",
+  baseline: "Baseline",
+};
+
+// `rows` and `baseRows` are one champion's rows of dataset `type`. `hasBaseline` says
+// whether the dataset has a baseline at all: if so, a champion with no baseline rows
+// (new this patch) gets every row marked "new".
+export function withBaseline(type, rows, baseRows, hasBaseline = baseRows?.length > 0) {
+  if (!hasBaseline) return rows;
+  baseRows = baseRows || [];
+  const [wrKey, nKey] = DATASETS[type].rates[0];
+  const base = new Map(baseRows.map((b) => [rowKey(type, b), b]));
+  const seen = new Set();
+  const out = rows.map((r) => {
+    const k = rowKey(type, r);
+    const b = base.get(k);
+    seen.add(k);
+    if (!b) return { ...r, snapshot_status: "new" };
+    return {
+      ...r,
+      snapshot_status: "",
+      wr_change: Number(r[wrKey]) - Number(b[wrKey]),
+      n_change: Number(r[nKey]) - Number(b[nKey]),
+    };
+  });
+  for (const [k, b] of base) {
+    if (!seen.has(k)) out.push({ ...b, snapshot_status: "removed" });
+  }
+  return out;
+}
@@ -0,0 +1,146 @@
+import { PLACEMENT_METRICS, placementValue } from "./placement";
+
+// ---- Win-rate statistics ----
+// All rates are fractions (0..1). `n` is the number of games behind a rate.
+
+export const Z95 = 1.959964;
+
+// Pseudo-games of the champion's average mixed into every row when shrinking.
+export const PRIOR_GAMES = 50;
+
+export function toNum(x) {
+  const n = typeof x === "string" ? parseFloat(x) : (x ?? NaN);
+  return isFinite(n) ? n : NaN;
+}
+
+// Wilson score interval for a binomial proportion.
+export function wilson(p, n, z = Z95) {
+  p = toNum(p);
+  n = toNum(n);
+  if (!isFinite(p) || !isFinite(n) || n <= 0) return { lo: 0, hi: 1 };
+  p = Math.min(1, Math.max(0, p));
+  const z2 = z * z;
+  const denom = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denom;
+  return { lo: Math.max(0, center - half), hi: Math.min(1, center + half) };
+}
+
+// Beta-binomial posterior mean: the row's wins plus `priorGames` games at `prior`.
+export function shrink(p, n, prior, priorGames = PRIOR_GAMES) {
+  p = toNum(p);
+  n = toNum(n);
+  if (!isFinite(prior)) return isFinite(p) ? p : NaN;
+  if (!isFinite(p) || !isFinite(n) || n <= 0) return prior;
+  return (p * n + prior * priorGames) / (n + priorGames);
+}
+
+// Game-weighted average win rate over a set of rows.
+export function pooledRate(rows, wrKey, nKey) {
+  let wins = 0, games = 0;
+  for (const r of rows) {
+    const p = toNum(r?.[wrKey]);
+    const n = toNum(r?.[nKey]);
+    if (!isFinite(p) || !isFinite(n) || n <= 0) continue;
+    wins += p * n;
+    games += n;
+  }
+  return games > 0 ? wins / games : NaN;
+}
+
+// Sort keys offered in the UI; "rise"/"fall" only apply once a baseline is loaded, the
+// placement keys (placement.js) only when the data has those columns.
+export const SORT_LABELS = {
+  wr: "Win rate",
+  n: "Sample size",
+  shrunk: "Shrunk WR (toward champ avg)",
+  lcb: "WR lower bound (95%)",
+  rise: "Biggest risers vs baseline",
+  fall: "Biggest fallers vs baseline",
+  ...Object.fromEntries(Object.entries(PLACEMENT_METRICS).map(([k, m]) => [k, m.sortLabel])),
+};
+
+// Sort score for a row under the given sort key ("wr", "n", "shrunk", "lcb").
+export function sortScore(sortKey, p, n, prior) {
+  switch (sortKey) {
+    case "n": return toNum(n);
+    case "shrunk": return shrink(p, n, prior);
+    case "lcb": return wilson(p, n).lo;
+    default: return toNum(p);
+  }
+}
+
+// Sort rows descending by the active sort key; `prior` is the champion's average WR
+// for this list, used by the shrunk sort. "rise"/"fall" rank by the baseline change
+// (`wr_change`, see snapshots.js); placement keys by the row's placement column, with
+// average placement ascending.
+export function sortRows(rows, sortKey, wrKey, nKey, prior) {
+  const placement = PLACEMENT_METRICS[sortKey];
+  const score = (r) => {
+    const v = sortKey === "rise" ? toNum(r.wr_change)
+      : sortKey === "fall" ? -toNum(r.wr_change)
+      : placement ? (placement.lowerIsBetter ? -1 : 1) * placementValue(sortKey, r, wrKey)
+      : sortScore(sortKey, r[wrKey], r[nKey], prior);
+    return isFinite(v) ? v : -Infinity;
+  };
+  return [...rows].sort((a, b) => score(b) - score(a));
+}
+
+// ---- Two-proportion comparison ----
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7).
+export function normCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Pooled two-proportion z-test of p1 vs p2 (two-sided), with a Newcombe interval on
+// the difference p1 - p2 built from the two Wilson intervals.
+// Returns { diff, z, p, lo, hi }; everything is NaN when either side has no games.
+export function twoPropTest(p1, n1, p2, n2, z = Z95) {
+  p1 = toNum(p1); n1 = toNum(n1); p2 = toNum(p2); n2 = toNum(n2);
+  if (![p1, n1, p2, n2].every(isFinite) || n1 <= 0 || n2 <= 0) {
+    return { diff: NaN, z: NaN, p: NaN, lo: NaN, hi: NaN };
+  }
+  const diff = p1 - p2;
+  const pool = (p1 * n1 + p2 * n2) / (n1 + n2);
+  const se = Math.sqrt(pool * (1 - pool) * (1 / n1 + 1 / n2));
+  const stat = se > 0 ? diff / se : 0;
+  const a = wilson(p1, n1, z), b = wilson(p2, n2, z);
+  return {
+    diff,
+    z: stat,
+    p: se > 0 ? 2 * (1 - normCdf(Math.abs(stat))) : 1,
+    lo: diff - Math.sqrt((p1 - a.lo) ** 2 + (b.hi - p2) ** 2),
+    hi: diff + Math.sqrt((a.hi - p1) ** 2 + (p2 - b.lo) ** 2),
+  };
+}
+
+// Multiple-comparison adjustment of a list of p-values (same order out as in; NaN
+// entries are skipped and stay NaN). "holm" controls the family-wise error rate,
+// "bh" (Benjamini–Hochberg) the false discovery rate.
+export const P_ADJUST = { holm: "Holm (family-wise)", bh: "Benjamini–Hochberg (FDR)", none: "None" };
+
+export function adjustPValues(ps, method = "holm") {
+  const out = ps.map(() => NaN);
+  const idx = ps.map((p, i) => i).filter((i) => isFinite(ps[i])).sort((a, b) => ps[a] - ps[b]);
+  const m = idx.length;
+  if (method === "none") {
+    for (const i of idx) out[i] = ps[i];
+  } else if (method === "bh") {
+    let min = 1;
+    for (let k = m - 1; k >= 0; k--) {
+      min = Math.min(min, (ps[idx[k]] * m) / (k + 1));
+      out[idx[k]] = min;
+    }
+  } else {
+    let max = 0;
+    idx.forEach((i, k) => {
+      max = Math.max(max, Math.min(1, (m - k) * ps[i]));
+      out[i] = max;
+    });
+  }
+  return out;
+}
@@ -0,0 +1,86 @@
+// ---- Browser-local persistence (IndexedDB) ----
+// "files" holds every loaded CSV (parsed rows + metadata) keyed by id; "ui" holds
+// small key/value view state; "meta" holds user-imported CommunityDragon JSON. Every
+// call rejects if IndexedDB is unavailable, so callers can fall back to in-memory state.
+
+const DB_NAME = "arena-explorer";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB not available"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("files")) db.createObjectStore("files", { keyPath: "id" });
+      if (!db.objectStoreNames.contains("ui")) db.createObjectStore("ui");
+      if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function run(store, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function loadFiles() {
+  return run("files", "readonly", (s) => s.getAll()).then((all) =>
+    (all || []).sort((a, b) => (a.loadedAt || 0) - (b.loadedAt || 0))
+  );
+}
+
+export function saveFiles(entries) {
+  return run("files", "readwrite", (s) => { entries.forEach((e) => s.put(e)); });
+}
+
+export function deleteFile(id) {
+  return run("files", "readwrite", (s) => s.delete(id));
+}
+
+export function clearFiles() {
+  return run("files", "readwrite", (s) => s.clear());
+}
+
+export function loadUiState() {
+  return run("ui", "readonly", (s) => s.get("view"));
+}
+
+export function saveUiState(state) {
+  return run("ui", "readwrite", (s) => s.put(state, "view"));
+}
+
+// Manual tier-list placements: { [overrideKey]: { name: band } } (see tierBands.js)
+export function loadTierOverrides() {
+  return run("ui", "readonly", (s) => s.get("tierOverrides"));
+}
+
+export function saveTierOverrides(overrides) {
+  return run("ui", "readwrite", (s) => s.put(overrides, "tierOverrides"));
+}
+
+// kind: "items" | "arena" | "champions"
+export function loadMeta(kind) {
+  return run("meta", "readonly", (s) => s.get(kind));
+}
+
+export function saveMeta(kind, json) {
+  return run("meta", "readwrite", (s) => s.put(json, kind));
+}
+
+export function deleteMeta(kind) {
+  return run("meta", "readwrite", (s) => s.delete(kind));
+}
@@ -0,0 +1,129 @@
+import { normKey } from "./format";
+import { shrink, toNum } from "./stats";
+
+// ---- Pairwise synergies ----
+// A pair row is two things the same player picked in one game: two augments, or an
+// augment and a prismatic item. Its joint win rate is compared with what the two would
+// give if their effects simply added up, adding each one's log-odds edge over the
+// champion's average:
+//   logit(expected) = logit(wrA) + logit(wrB) − logit(avg)
+// lift = joint WR − expected. Small pairs are noisy, so the adjusted lift first shrinks
+// the joint WR toward that expectation (stats.shrink).
+
+export const PAIR_KINDS = { augment: "Augment", prismatic: "Prismatic item" };
+
+export const PAIR_FILTERS = {
+  all: "All pairs",
+  "augment+augment": "Augment + augment",
+  "augment+prismatic": "Augment + prismatic",
+};
+
+export const PAIR_SORTS = {
+  adjLift: "Lift (adjusted for sample size)",
+  lift: "Lift",
+  wr: "Joint win rate",
+  n: "Sample size",
+};
+
+export const normKind = (v) => (/prism|item/i.test(String(v ?? "")) ? "prismatic" : "augment");
+
+// Augments before items, then by name, so a pair has one spelling whichever way round
+// it was listed. `a` and `b` are { name, kind }.
+export function orderPair(a, b) {
+  const rank = (x) => `${x.kind === "augment" ? 0 : 1}\u0000${normKey(x.name)}`;
+  return rank(a) <= rank(b) ? [a, b] : [b, a];
+}
+
+// Rates are clamped away from 0 and 1, where the log-odds blow up.
+const logit = (p) => {
+  const q = Math.min(0.99, Math.max(0.01, p));
+  return Math.log(q / (1 - q));
+};
+
+export function expectedRate(wrA, wrB, avg) {
+  if (![wrA, wrB, avg].every(isFinite)) return NaN;
+  return 1 / (1 + Math.exp(-(logit(wrA) + logit(wrB) - logit(avg))));
+}
+
+// normKey(name) -> { name, wr, n, tier } over one kind's rows; augment rows of the same
+// name in several tiers are pooled, keeping the most-played tier for the icon.
+function components(rows, nameKey, wrKey, nKey) {
+  const m = new Map();
+  for (const r of rows) {
+    const p = toNum(r?.[wrKey]), n = toNum(r?.[nKey]);
+    if (!isFinite(p) || !isFinite(n) || n <= 0) continue;
+    const k = normKey(r[nameKey]);
+    let c = m.get(k);
+    if (!c) m.set(k, (c = { name: r[nameKey], wins: 0, n: 0, tier: "", tierN: 0 }));
+    c.wins += p * n;
+    c.n += n;
+    if (r.tier_norm && n > c.tierN) {
+      c.tier = String(r.tier_norm).toLowerCase();
+      c.tierN = n;
+    }
+  }
+  for (const c of m.values()) c.wr = c.wins / c.n;
+  return m;
+}
+
+// One champion's pair rows -> scored pairs. `augRows` / `prisRows` are the champion's
+// augment and prismatic item rows (before any min-N cutoff) and `avg` its average WR.
+export function buildSynergy(pairRows, { augRows = [], prisRows = [], avg }) {
+  const comps = {
+    augment: components(augRows, "augment_name", "win_rate", "n"),
+    prismatic: components(prisRows, "item_name", "win_rate_present", "n_present"),
+  };
+  // Files may list the same pair in either order; pool those under one key.
+  const pooled = new Map();
+  for (const r of pairRows) {
+    const p = toNum(r?.win_rate), n = toNum(r?.n);
+    if (!isFinite(p) || !isFinite(n) || n <= 0) continue;
+    const [a, b] = orderPair(
+      { name: String(r.first_name ?? "").trim(), kind: normKind(r.first_kind) },
+      { name: String(r.second_name ?? "").trim(), kind: normKind(r.second_kind) }
+    );
+    if (!a.name || !b.name) continue;
+    const key = [a, b].map((x) => `${x.kind}:${normKey(x.name)}`).join("+");
+    let acc = pooled.get(key);
+    if (!acc) pooled.set(key, (acc = { key, a, b, wins: 0, n: 0 }));
+    acc.wins += p * n;
+    acc.n += n;
+  }
+  return Array.from(pooled.values(), ({ key, a, b, wins, n }) => {
+    const side = (x) => {
+      const c = comps[x.kind].get(normKey(x.name));
+      return { ...x, wr: c ? c.wr : NaN, tier: c?.tier || "" };
+    };
+    const wr = wins / n;
+    const expected = expectedRate(side(a).wr, side(b).wr, avg);
+    return {
+      key,
+      type: `${a.kind}+${b.kind}`,
+      a: side(a),
+      b: side(b),
+      n,
+      wr,
+      expected,
+      lift: wr - expected,
+      adjLift: shrink(wr, n, expected) - expected,
+    };
+  });
+}
+
+// Pairs containing `name` of `kind`, with the other half as `partner`.
+export function partnersOf(pairs, kind, name) {
+  const k = normKey(name);
+  const out = [];
+  for (const p of pairs) {
+    const isA = p.a.kind === kind && normKey(p.a.name) === k;
+    const isB = p.b.kind === kind && normKey(p.b.name) === k;
+    if (isA || isB) out.push({ ...p, partner: isA ? p.b : p.a });
+  }
+  return out;
+}
+
+// Descending by one of PAIR_SORTS; pairs without a score (e.g. no component rows) last.
+export function sortPairs(pairs, sortKey) {
+  const score = (p) => (isFinite(p[sortKey]) ? p[sortKey] : -Infinity);
+  return [...pairs].sort((x, y) => score(y) - score(x) || y.n - x.n);
+}
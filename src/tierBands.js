@@ -0,0 +1,46 @@
+import { shrink, toNum } from "./stats";
+
+// ---- Tier-list bands ----
+// Each row is scored by how far its win rate sits above the champion's average, after
+// shrinking toward that average by `priorGames` pseudo-games (so small samples land
+// near B instead of at the extremes). Thresholds are the minimum score per band.
+
+export const BANDS = ["S", "A", "B", "C", "D"];
+
+export const DEFAULT_THRESHOLDS = { S: 0.04, A: 0.015, B: -0.015, C: -0.04 };
+
+export const BAND_COLORS = {
+  S: "bg-rose-200",
+  A: "bg-orange-200",
+  B: "bg-yellow-100",
+  C: "bg-lime-100",
+  D: "bg-sky-100",
+};
+
+export function bandFor(score, thresholds = DEFAULT_THRESHOLDS) {
+  if (!isFinite(score)) return "D";
+  for (const b of ["S", "A", "B", "C"]) if (score >= thresholds[b]) return b;
+  return "D";
+}
+
+// rows -> [{ name, wr, n, score, band, auto }] sorted best first. `overrides` maps
+// name -> band for manual placements; `auto` keeps the computed band. Baseline-only
+// rows (snapshots.js "removed") are no longer in the data and aren't banded.
+export function buildBands(rows, { nameKey, wrKey, nKey, avg, thresholds, priorGames, overrides = {} }) {
+  return rows
+    .filter((r) => r.snapshot_status !== "removed")
+    .map((r) => {
+      const name = String(r[nameKey] ?? "");
+      const wr = toNum(r[wrKey]);
+      const n = toNum(r[nKey]);
+      const score = isFinite(avg) ? shrink(wr, n, avg, priorGames) - avg : NaN;
+      const auto = bandFor(score, thresholds);
+      return { name, wr, n, score, auto, band: overrides[name] || auto };
+    })
+    .sort((a, b) => (isFinite(b.score) ? b.score : -Infinity) - (isFinite(a.score) ? a.score : -Infinity));
+}
+
+// Key for one manual placement; overrides are stored per champion and group.
+export function overrideKey(champion, group) {
+  return `${champion}\u0000${group}`;
+}
@@ -0,0 +1,144 @@
+import React from "react";
+import { fmtCI, fmtDelta } from "./format";
+
+// ---- Small UI bits ----
+export const Section = ({ title, right, children }) => (
+  <div className="w-full">
+    <div className="flex items-center justify-between mb-2">
+      <h2 className="text-xl font-semibold tracking-tight">{title}</h2>
+      {right}
+    </div>
+    <div className="rounded-2xl border border-gray-200 p-3 shadow-sm bg-white">{children}</div>
+  </div>
+);
+
+export const Badge = ({ children, onRemove }) => (
+  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-900 border border-gray-200">
+    {children}
+    {onRemove ? (
+      <button type="button" className="ml-1 -mr-1 px-1 text-gray-500 hover:text-gray-900" title="Remove" onClick={onRemove}>×</button>
+    ) : null}
+  </span>
+);
+
+export const Stat = ({ label, value, sub }) => (
+  <div className="flex flex-col min-w-[4.5rem] items-end">
+    <span className="text-xs text-gray-500">{label}</span>
+    <span className="text-sm font-semibold tabular-nums">{value}</span>
+    {sub ? <span className="text-[10px] text-gray-500 tabular-nums">{sub}</span> : null}
+  </div>
+);
+
+// 95% interval shown under / next to a win rate
+export const CI = ({ p, n }) => (
+  <span className="text-[10px] text-gray-500 tabular-nums" title="95% Wilson interval">{fmtCI(p, n)}</span>
+);
+
+// Change against the baseline snapshot (fields added by snapshots.withBaseline)
+export const Change = ({ row }) => {
+  if (row.snapshot_status === "new") return <Badge>new</Badge>;
+  if (row.snapshot_status === "removed") return <Badge>removed</Badge>;
+  if (row.wr_change === undefined) return null;
+  const tone = row.wr_change > 0 ? "text-emerald-700" : row.wr_change < 0 ? "text-rose-700" : "";
+  const dn = Math.round(row.n_change);
+  return (
+    <Stat
+      label="Δ WR"
+      value={<span className={tone}>{fmtDelta(row.wr_change)}</span>}
+      sub={isFinite(dn) ? `N ${dn > 0 ? "+" : ""}${dn}` : ""}
+    />
+  );
+};
+
+export const Row = ({ icon, title, subtitle, right, onClick, active }) => (
+  <div
+    className={`flex items-center justify-between rounded-xl border p-3 gap-3 ${onClick ? "cursor-pointer hover:bg-gray-50" : ""} ${active ? "ring-2 ring-blue-400" : ""}`}
+    onClick={onClick}
+    role={onClick ? "button" : undefined}
+    tabIndex={onClick ? 0 : undefined}
+    onKeyDown={onClick ? (e) => { if (e.key === "Enter") onClick(); } : undefined}
+  >
+    <div className="flex items-center gap-3 min-w-0">
+      {icon}
+      <div className="min-w-0">
+        <div className="font-medium truncate pr-2">{title}</div>
+        {subtitle ? <div className="text-xs text-gray-500 truncate">{subtitle}</div> : null}
+      </div>
+    </div>
+    <div className="flex items-center gap-4">{right}</div>
+  </div>
+);
+
+// Simple fallback tile for missing icons
+export function PlaceholderIcon({ name }) {
+  const letter = ((name || "?") + "").trim().charAt(0).toUpperCase();
+  return (
+    <div
+      style={{
+        width: 32,
+        height: 32,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        border: "1px solid #e5e7eb",
+        borderRadius: 6,
+        background: "#f3f4f6",
+        fontSize: 12,
+        fontWeight: 600,
+      }}
+    >
+      {letter}
+    </div>
+  );
+}
+
+export function AugIcon({ tier = "silver", src, name }) {
+  const bg =
+    tier === "gold"
+      ? "linear-gradient(180deg, #FEF3C7, #F59E0B)"
+      : tier === "prismatic"
+      ? "linear-gradient(135deg, #60A5FA, #A78BFA, #F472B6)"
+      : "linear-gradient(180deg, #E5E7EB, #94A3B8)";
+
+  return (
+    <div
+      style={{
+        width: 32,
+        height: 32,
+        borderRadius: 6,
+        padding: 2,
+        background: bg,
+        boxShadow: "inset 0 0 0 1px rgba(0,0,0,.12), 0 1px 2px rgba(0,0,0,.08)",
+      }}
+      title={name}
+    >
+      <CDImg src={src} name={name} plain size={28} />
+    </div>
+  );
+}
+
+// Lazy-loaded: off-screen icons (e.g. further down a long list) aren't requested
+// until they scroll near the viewport.
+export function CDImg({ src, name, plain = false, size = 32 }) {
+  return (
+    <img
+      src={src || undefined}
+      alt=""
+      width={size}
+      height={size}
+      referrerPolicy="no-referrer"
+      crossOrigin="anonymous"
+      loading="lazy"
+      decoding="async"
+      style={{
+        width: size,
+        height: size,
+        objectFit: "contain",
+        display: "block",
+        // only add border/background when NOT plain
+        ...(plain ? {} : { borderRadius: 6, border: "1px solid #e5e7eb", background: "#fff" }),
+      }}
+      onError={() => { /* leave the broken-image icon visible */ }}
+    />
+  );
+}
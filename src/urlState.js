@@ -0,0 +1,62 @@
+import { SORT_LABELS } from "./stats";
+
+// ---- Shareable view state in the URL ----
+// Query form:  ?champ=Vayne&minN=50&sort=n&view=tiers&patch=14.23   (view: tiers | charts)   or   ?item=Fulmination
+//              or   ?compare=Vayne&compare=Kai'Sa
+// Path form:   /champion/Vayne   or   /item/Fulmination   (under the app base; gh-pages
+// serves these through 404.html, see the postbuild script)
+// Values equal to DEFAULTS are left out so links stay short.
+
+export const DEFAULTS = { minN: 10, sortKey: "wr", champView: "lists" };
+
+const BASE = import.meta.env?.BASE_URL || "/";
+
+// Partial view state found in the current location; keys absent from the URL are omitted.
+export function readUrlState(loc = window.location) {
+  const out = {};
+  const q = new URLSearchParams(loc.search);
+
+  let path = "";
+  try {
+    path = decodeURIComponent(loc.pathname.startsWith(BASE) ? loc.pathname.slice(BASE.length) : loc.pathname);
+  } catch {
+    // Malformed percent-encoding in a hand-edited link; ignore the path, keep the query.
+  }
+  const m = path.match(/^\/?(champion|item)\/(.+?)\/?$/i);
+  if (m) {
+    if (m[1].toLowerCase() === "champion") { out.lookupMode = "champion"; out.champQuery = m[2]; }
+    else { out.lookupMode = "entity"; out.entityQuery = m[2]; }
+  }
+
+  if (q.has("champ")) { out.lookupMode = "champion"; out.champQuery = q.get("champ"); }
+  if (q.has("item")) { out.lookupMode = "entity"; out.entityQuery = q.get("item"); }
+  if (q.has("compare")) { out.lookupMode = "compare"; out.compareChamps = q.getAll("compare").filter(Boolean); }
+  if (q.has("minN")) {
+    const n = Number(q.get("minN"));
+    if (isFinite(n) && n >= 1) out.minN = n;
+  }
+  if (Object.hasOwn(SORT_LABELS, q.get("sort") ?? "")) out.sortKey = q.get("sort"); // unknown keys keep the default
+  if (["lists", "tiers", "charts"].includes(q.get("view"))) out.champView = q.get("view");
+  if (q.get("patch")) out.cdVersion = q.get("patch");
+  return out;
+}
+
+// `cdVersion` is only linked when the user pinned a CommunityDragon patch.
+export function buildUrl({ lookupMode, champQuery, entityQuery, compareChamps = [], minN, sortKey, champView = DEFAULTS.champView, cdVersion }, loc = window.location) {
+  const q = new URLSearchParams();
+  if (lookupMode === "entity") { if (entityQuery) q.set("item", entityQuery); }
+  else if (lookupMode === "compare") { for (const c of compareChamps) q.append("compare", c); }
+  else if (champQuery) q.set("champ", champQuery);
+  if (minN !== DEFAULTS.minN) q.set("minN", String(minN));
+  if (sortKey !== DEFAULTS.sortKey) q.set("sort", sortKey);
+  if (lookupMode === "champion" && champView !== DEFAULTS.champView) q.set("view", champView);
+  if (cdVersion) q.set("patch", cdVersion);
+  const qs = q.toString();
+  return `${loc.origin}${BASE}${qs ? `?${qs}` : ""}${loc.hash || ""}`;
+}
+
+// Replace (not push) the current entry so typing doesn't flood the history.
+export function writeUrlState(state) {
+  const url = buildUrl(state);
+  if (url !== window.location.href) window.history.replaceState(null, "", url);
+}
@@ -0,0 +1,48 @@
+import { adjustPValues, toNum, twoPropTest } from "./stats";
+import { fmtDelta, fmtP } from "./format";
+
+// ---- 2000g voucher vs 2500g shop: is the gap real? ----
+
+export const ALPHA = 0.05;
+export const MIN_SIDE_N = 30; // below this on either side the normal approximation is too rough
+
+// `verdict` is "voucher" | "shop" | "none" | "few", judged on `pValue`.
+function withVerdict(t, pValue) {
+  let verdict = "none";
+  if (!(t.nVoucher >= MIN_SIDE_N && t.nShop >= MIN_SIDE_N)) verdict = "few";
+  else if (pValue < ALPHA) verdict = t.diff > 0 ? "voucher" : "shop";
+  return { ...t, pValue, verdict };
+}
+
+// Test one vshop row (unadjusted p-value).
+export function voucherTest(row) {
+  const wrVoucher = toNum(row?.wr_voucher2000), nVoucher = toNum(row?.n_voucher2000);
+  const wrShop = toNum(row?.wr_shop2500), nShop = toNum(row?.n_shop2500);
+  const test = twoPropTest(wrVoucher, nVoucher, wrShop, nShop);
+  return withVerdict({ ...test, wrVoucher, nVoucher, wrShop, nShop }, test.p);
+}
+
+// Every champion with a vshop row, judged on p-values adjusted across the whole set.
+// Champions with too few games are not tested, so they don't inflate the correction.
+export function voucherTests(vshopRows, method) {
+  const raw = vshopRows.filter((r) => r && r.champion_name).map((r) => ({ champion: r.champion_name, ...voucherTest(r) }));
+  const adj = adjustPValues(raw.map((t) => (t.verdict === "few" ? NaN : t.p)), method);
+  return raw.map((t, i) => (t.verdict === "few" ? { ...t, pValue: NaN } : withVerdict(t, adj[i])));
+}
+
+// Plain-language recommendation for one test result.
+export function recommendation(t) {
+  const ci = `95% CI ${fmtDelta(t.lo)} to ${fmtDelta(t.hi)}`;
+  const pv = t.pValue < 0.001 ? "p < 0.001" : `p = ${fmtP(t.pValue)}`;
+  const gap = `${(Math.abs(t.diff) * 100).toFixed(1)} pp`;
+  switch (t.verdict) {
+    case "few":
+      return `Not enough games to compare (needs at least ${MIN_SIDE_N} on each side).`;
+    case "voucher":
+      return `Take the voucher: it wins ${gap} more often than buying from the shop (${ci}; ${pv}).`;
+    case "shop":
+      return `Buy from the shop: the voucher wins ${gap} less often (${ci}; ${pv}).`;
+    default:
+      return `No clear difference (${ci}; ${pv}): the data doesn't favour either, and the voucher is 500g cheaper.`;
+  }
+}